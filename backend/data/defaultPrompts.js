@@ -0,0 +1,95 @@
+// Built-in prompt templates
+// Seeded into the PromptTemplate collection on startup and used directly
+// when the database is unavailable.
+const DEFAULT_PROMPTS = [
+  {
+    key: 'general_chat',
+    name: 'General Chat',
+    systemPrompt: 'You are a helpful AI assistant. Respond conversationally and provide detailed, helpful responses.',
+    category: 'General',
+    color: '#2196f3',
+    icon: 'ChatBubble'
+  },
+  {
+    key: 'business_plan',
+    name: 'Business Plan',
+    systemPrompt: 'Analyze this business idea and provide a comprehensive business plan including market analysis, SWOT analysis, target audience, marketing strategy, and financial projections.',
+    category: 'Business',
+    color: '#4caf50',
+    icon: 'Business'
+  },
+  {
+    key: 'code_review',
+    name: 'Code Review',
+    systemPrompt: 'Review this {{language}} code for best practices, identify bugs, security issues, suggest optimizations, and provide improved code examples.',
+    category: 'Development',
+    color: '#f44336',
+    icon: 'Code',
+    variables: [
+      { name: 'language', label: 'Language', type: 'text', default: 'the given', placeholder: 'e.g. JavaScript' }
+    ]
+  },
+  {
+    key: 'content_strategy',
+    name: 'Content Strategy',
+    systemPrompt: 'Create a content strategy including topics, platforms, posting schedule, engagement tactics, and performance metrics.',
+    category: 'Marketing',
+    color: '#ff9800',
+    icon: 'Campaign'
+  },
+  {
+    key: 'market_research',
+    name: 'Market Research',
+    systemPrompt: 'Provide detailed market research including competitors, trends, opportunities, threats, and market size.',
+    category: 'Business',
+    color: '#8bc34a',
+    icon: 'TrendingUp'
+  },
+  {
+    key: 'learning_path',
+    name: 'Learning Path',
+    systemPrompt: 'Create a personalized learning path with resources, milestones, projects, and assessment methods.',
+    category: 'Development',
+    color: '#00bcd4',
+    icon: 'School'
+  },
+  {
+    key: 'email_writing',
+    name: 'Email Writing',
+    systemPrompt: 'Write clear and effective emails for the given purpose. The audience is {{audience}}. Use a {{tone}} tone and write in {{language}}.',
+    category: 'Marketing',
+    color: '#3f51b5',
+    icon: 'Email',
+    variables: [
+      { name: 'audience', label: 'Audience', type: 'text', default: 'the recipient named in the request', placeholder: 'e.g. a potential client' },
+      { name: 'tone', label: 'Tone', type: 'select', options: ['professional', 'friendly', 'formal', 'persuasive', 'apologetic'], default: 'professional' },
+      { name: 'language', label: 'Language', type: 'text', default: 'English' }
+    ]
+  },
+  {
+    key: 'creative_writing',
+    name: 'Creative Writing',
+    systemPrompt: 'Help with creative writing including stories, poems, scripts, and brainstorming ideas.',
+    category: 'Creative',
+    color: '#9c27b0',
+    icon: 'Lightbulb'
+  },
+  {
+    key: 'problem_solving',
+    name: 'Problem Solving',
+    systemPrompt: 'Analyze problems systematically and provide step-by-step solutions with implementation guidance.',
+    category: 'General',
+    color: '#607d8b',
+    icon: 'Psychology'
+  },
+  {
+    key: 'codeforces_analysis',
+    name: 'Codeforces Analysis',
+    systemPrompt: "You are a competitive programming expert specializing in Codeforces analysis. Analyze the user's Codeforces data and provide specific, actionable recommendations including problem IDs, areas to focus on, and study plans. Structure your response with clear sections and be specific about problem recommendations.",
+    category: 'Development',
+    color: '#9c27b0',
+    icon: 'EmojiEvents'
+  }
+];
+
+module.exports = DEFAULT_PROMPTS;
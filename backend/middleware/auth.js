@@ -0,0 +1,139 @@
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { getRequestApiKey, authenticateApiKey } = require('../services/apiKeys');
+
+// Authentication shared by all routers. A request is authenticated by, in order:
+//   1. a personal API key, on routes that use allowApiKey
+//   2. a JWT access token ("Authorization: Bearer <token>")
+//   3. nothing, when anonymous mode is on and the route uses allowAnonymous
+//
+// Anonymous mode (ANONYMOUS_MODE=true) lets requests without credentials act as
+// one shared account. Only generation and the built-in prompt list allow it, and
+// generation is limited to ANONYMOUS_REQUESTS_PER_HOUR per IP (anonymousQuota)
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Shared account used by anonymous requests
+const ANONYMOUS_USER_ID = '507f1f77bcf86cd799439011';
+
+const isAnonymousModeEnabled = () => process.env.ANONYMOUS_MODE === 'true';
+
+const anonymousLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: parseInt(process.env.ANONYMOUS_REQUESTS_PER_HOUR) || 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Anonymous usage limit reached, please sign in to continue',
+    code: 'ANONYMOUS_QUOTA_EXCEEDED'
+  }
+});
+
+// Helper function to send an authentication error
+const deny = (res, status, error, code) => res.status(status).json({
+  success: false,
+  error,
+  code
+});
+
+// Middleware to authenticate the request; sets req.user
+// Every failure is a 401 with a code, except a key or role that isn't allowed (403)
+const verifyToken = (req, res, next) => {
+  const apiKey = getRequestApiKey(req);
+  if (apiKey) {
+    authenticateApiKey(apiKey, req.allowApiKey, req.ip)
+      .then((result) => {
+        if (result.error) {
+          console.log('❌ API key rejected:', result.error);
+          return deny(res, result.status, result.error, result.code);
+        }
+
+        req.user = result.user;
+        next();
+      })
+      .catch((error) => {
+        console.error('❌ API key verification failed:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Authentication failed'
+        });
+      });
+    return;
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    if (req.allowAnonymous && isAnonymousModeEnabled()) {
+      req.user = {
+        userId: ANONYMOUS_USER_ID,
+        name: 'Anonymous',
+        email: 'anonymous@localhost',
+        role: 'anonymous',
+        anonymous: true
+      };
+      return next();
+    }
+
+    return deny(res, 401, 'Access token required', 'TOKEN_REQUIRED');
+  }
+
+  try {
+    req.user = jwt.verify(token, JWT_SECRET);
+    next();
+  } catch (error) {
+    // TOKEN_EXPIRED tells the client to refresh its access token and retry
+    if (error.name === 'TokenExpiredError') {
+      return deny(res, 401, 'Token expired', 'TOKEN_EXPIRED');
+    }
+
+    console.log('❌ Token verification failed:', error.message);
+    return deny(res, 401, 'Invalid token', 'INVALID_TOKEN');
+  }
+};
+
+// Middleware to restrict a route to some roles (use after verifyToken)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.role)) {
+    console.log(`❌ ${roles.join('/')} access denied for:`, req.user?.email);
+    const error = roles.length === 1
+      ? `${roles[0].charAt(0).toUpperCase()}${roles[0].slice(1)} access required`
+      : 'Access denied';
+    return deny(res, 403, error, 'FORBIDDEN');
+  }
+  next();
+};
+
+// Middleware to let personal API keys call a route (use before verifyToken)
+// scope limits it to keys that have that scope; without a scope any key works.
+// verifyToken rejects API keys on routes that don't use this
+const allowApiKey = (scope = null) => (req, res, next) => {
+  req.allowApiKey = { scope };
+  next();
+};
+
+// Middleware to let anonymous mode reach a route (use before verifyToken)
+// Has no effect unless ANONYMOUS_MODE=true
+const allowAnonymous = (req, res, next) => {
+  req.allowAnonymous = true;
+  next();
+};
+
+// Middleware to count anonymous requests against the hourly limit (use after verifyToken)
+// Signed-in users and API keys pass straight through
+const anonymousQuota = (req, res, next) => {
+  if (!req.user?.anonymous) return next();
+  anonymousLimiter(req, res, next);
+};
+
+module.exports = {
+  ANONYMOUS_USER_ID,
+  isAnonymousModeEnabled,
+  verifyToken,
+  requireRole,
+  allowApiKey,
+  allowAnonymous,
+  anonymousQuota
+};
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// What a key can be used for; routes opt in with allowApiKey (middleware/auth.js)
+const API_KEY_SCOPES = ['generate', 'history:read', 'stats:read'];
+
+// Personal API key for scripts and CI. Only a hash of the key is stored;
+// the key itself is shown once when it is created
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Unknown scope: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Start of the key, so the owner can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Shape shown to the owner
+apiKeySchema.methods.toOwnerView = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    scopes: this.scopes,
+    prefix: this.prefix,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Instance-wide settings changed by admins; a single document keyed 'global'
+const appSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Every account must set up two-factor authentication to sign in
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Current settings, with defaults when nothing has been saved yet
+appSettingsSchema.statics.getGlobal = async function() {
+  return (await this.findOne({ key: 'global' })) || new this();
+};
+
+module.exports = mongoose.model('AppSettings', appSettingsSchema);
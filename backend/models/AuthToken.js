@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email (password reset, email verification)
+// Only a hash is stored; the raw token exists only in the email link
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+authTokenSchema.index({ userId: 1, type: 1 });
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { linkMessages, resolveLeafId } = require('../utils/conversationTree');
+
+// Messages keep the client-generated id so the UI can address them directly
+const messageSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  // Id of the previous turn; null for the root. Missing on conversations
+  // saved before branching, which are read as one linear thread
+  parentId: String,
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  promptType: String,
+  mode: String,
+  tokensUsed: Number,
+  // The user stopped this reply before it finished
+  stopped: Boolean,
+  // The user's thumbs up/down; the full feedback is stored on the Generation
+  feedback: {
+    type: String,
+    enum: ['up', 'down']
+  },
+  generationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Generation'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false, id: false });
+
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+    default: 'New Conversation'
+  },
+  // Every turn of every branch, parents before children
+  messages: {
+    type: [messageSchema],
+    default: []
+  },
+  // Last message of the branch currently shown
+  currentLeafId: String,
+  // Prompt template selected for new turns in this conversation
+  promptType: String,
+  // Id of the conversation in browser storage, used to make imports idempotent
+  clientId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationSchema.index({ userId: 1, updatedAt: -1 });
+
+// Update updatedAt timestamp
+conversationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Shape used by the sidebar list (no message bodies)
+conversationSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    title: this.title,
+    messageCount: this.messages.length,
+    createdAt: this.createdAt,
+    lastUpdated: this.updatedAt
+  };
+};
+
+// Full shape including every branch and the selected leaf
+conversationSchema.methods.toDetail = function() {
+  const messages = linkMessages(this.messages.map(message => message.toObject()));
+
+  return {
+    ...this.toSummary(),
+    messages,
+    currentLeafId: resolveLeafId(messages, this.currentLeafId),
+    promptType: this.promptType
+  };
+};
+
+// Derive a title from the first user message
+conversationSchema.statics.deriveTitle = function(messages = []) {
+  const firstUserMessage = messages.find(message => message.role === 'user');
+  if (!firstUserMessage || !firstUserMessage.content) return 'New Conversation';
+
+  const content = firstUserMessage.content.trim();
+  return content.length > 50 ? content.substring(0, 50) + '...' : content;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -14,18 +14,81 @@ const generationSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Template (and version) that produced the system prompt
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTemplate'
+  },
+  templateVersion: Number,
+  // Template variable values the prompt was rendered with
+  variables: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // May be empty when the user stopped the generation before any text arrived
   aiResponse: {
     type: String,
-    required: true
+    required: function() {
+      return this.status !== 'stopped';
+    }
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'stopped'],
+    default: 'completed'
   },
   tokensUsed: {
     type: Number,
     default: 0
   },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  mode: {
+    type: String,
+    default: 'ai'
+  },
+  provider: String,
+  model: String,
+  finishReason: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // The user's rating of the response; one per generation, replaced on resubmit
+  feedback: {
+    rating: {
+      type: String,
+      enum: ['up', 'down']
+    },
+    category: {
+      type: String,
+      enum: ['inaccurate', 'too_long', 'too_short', 'unhelpful', 'off_topic', 'formatting', 'other']
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters']
+    },
+    updatedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+generationSchema.index({ userId: 1, createdAt: -1 });
+// Feedback report, grouped by template and version
+generationSchema.index({ promptType: 1, templateVersion: 1, 'feedback.rating': 1 });
+
+// Full-text search over history; matches in the prompt rank higher
+generationSchema.index(
+  { userInput: 'text', aiResponse: 'text' },
+  { name: 'generation_text_search', weights: { userInput: 2, aiResponse: 1 } }
+);
+
 module.exports = mongoose.model('Generation', generationSchema);
\ No newline at end of file
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const DEFAULT_PROMPTS = require('../data/defaultPrompts');
+const PromptTemplateVersion = require('./PromptTemplateVersion');
+const { VARIABLE_TYPES, validateVariableSchema } = require('../utils/templateVariables');
+
+// A {{name}} placeholder the client fills in through a generated form
+const variableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Variable label cannot exceed 80 characters']
+  },
+  type: {
+    type: String,
+    enum: VARIABLE_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  options: [String],
+  default: String,
+  placeholder: String
+}, { _id: false });
+
+const promptTemplateSchema = new mongoose.Schema({
+  // Stable identifier clients send as promptType
+  key: {
+    type: String,
+    required: [true, 'Prompt id is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]{2,50}$/, 'Prompt id may only contain lowercase letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [80, 'Name cannot exceed 80 characters']
+  },
+  systemPrompt: {
+    type: String,
+    required: [true, 'System prompt is required'],
+    maxlength: [10000, 'System prompt cannot exceed 10000 characters']
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: 'General'
+  },
+  variables: {
+    type: [variableSchema],
+    default: [],
+    validate: {
+      validator(variables) {
+        const error = validateVariableSchema(variables);
+        if (error) throw new Error(error);
+        return true;
+      },
+      message: props => props.reason.message
+    }
+  },
+  color: {
+    type: String,
+    default: '#2196f3',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #2196f3']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    default: 'ChatBubble'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Bumped on every content change; see PromptTemplateVersion
+  version: {
+    type: Number,
+    default: 1
+  },
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  },
+  // Set for private templates; null for the global ones everyone sees
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update updatedAt timestamp
+promptTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Shape returned by the prompts API
+promptTemplateSchema.methods.toPublic = function({ full = false } = {}) {
+  return {
+    id: this.key,
+    name: this.name,
+    description: full ? this.systemPrompt : this.systemPrompt.substring(0, 150),
+    category: this.category,
+    color: this.color,
+    icon: this.icon,
+    variables: this.variables.map(variable => ({
+      name: variable.name,
+      label: variable.label || variable.name,
+      type: variable.type,
+      required: variable.required,
+      options: variable.options,
+      default: variable.default,
+      placeholder: variable.placeholder
+    })),
+    enabled: this.enabled,
+    version: this.version,
+    isBuiltIn: this.isBuiltIn,
+    isPrivate: !!this.owner
+  };
+};
+
+// Insert any built-in templates that are missing; existing edits are kept
+promptTemplateSchema.statics.seedDefaults = async function() {
+  const operations = DEFAULT_PROMPTS.map(prompt => ({
+    updateOne: {
+      filter: { key: prompt.key },
+      update: { $setOnInsert: { ...prompt, isBuiltIn: true, enabled: true } },
+      upsert: true
+    }
+  }));
+
+  const result = await this.bulkWrite(operations);
+
+  // Make sure every built-in has a snapshot of its current version
+  const builtIns = await this.find({ isBuiltIn: true });
+  await Promise.all(builtIns.map(template => PromptTemplateVersion.snapshot(template)));
+
+  // Built-ins seeded before variables existed pick up the declared ones as a new
+  // version. Only variables are added; an admin's edits to the prompt are kept
+  const withVariables = DEFAULT_PROMPTS.filter(prompt => prompt.variables);
+  const missingVariables = await this.find({
+    key: { $in: withVariables.map(prompt => prompt.key) },
+    isBuiltIn: true,
+    variables: { $exists: false }
+  });
+  for (const template of missingVariables) {
+    template.variables = withVariables.find(prompt => prompt.key === template.key).variables;
+    template.version += 1;
+    await template.save();
+    await PromptTemplateVersion.snapshot(template);
+  }
+
+  return result.upsertedCount;
+};
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a prompt template, written on every content change
+const promptTemplateVersionSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTemplate',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  name: String,
+  systemPrompt: String,
+  category: String,
+  variables: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when this version was created by rolling back to an older one
+  restoredFrom: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+promptTemplateVersionSchema.index({ template: 1, version: 1 }, { unique: true });
+
+// Versions are never edited once written
+promptTemplateVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Prompt template versions are immutable'));
+  }
+  next();
+});
+
+promptTemplateVersionSchema.methods.toPublic = function({ full = false } = {}) {
+  const result = {
+    version: this.version,
+    name: this.name,
+    category: this.category,
+    changedBy: this.changedBy,
+    restoredFrom: this.restoredFrom,
+    createdAt: this.createdAt
+  };
+
+  if (full) {
+    result.systemPrompt = this.systemPrompt;
+    result.variables = this.variables;
+  }
+  return result;
+};
+
+// Record the template's current content as its current version (idempotent)
+promptTemplateVersionSchema.statics.snapshot = function(template, { changedBy, restoredFrom } = {}) {
+  return this.findOneAndUpdate(
+    { template: template._id, version: template.version },
+    {
+      $setOnInsert: {
+        key: template.key,
+        name: template.name,
+        systemPrompt: template.systemPrompt,
+        category: template.category,
+        variables: template.variables.map(variable => variable.toObject ? variable.toObject() : variable),
+        changedBy,
+        restoredFrom,
+        createdAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('PromptTemplateVersion', promptTemplateVersionSchema);
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Read-only public link to one conversation or generation
+const shareLinkSchema = new mongoose.Schema({
+  // Unguessable id used in /share/:token
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resourceType: {
+    type: String,
+    enum: ['conversation', 'generation'],
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Title at the time of sharing, so the owner's list does not need a lookup
+  title: String,
+  // No expiry when unset
+  expiresAt: Date,
+  revokedAt: Date,
+  views: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shareLinkSchema.index({ userId: 1, resourceType: 1, resourceId: 1 });
+
+// 'active', 'expired' or 'revoked'
+shareLinkSchema.methods.getStatus = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+};
+
+// Shape shown to the owner
+shareLinkSchema.methods.toOwnerView = function() {
+  return {
+    token: this.token,
+    resourceType: this.resourceType,
+    resourceId: this.resourceId,
+    title: this.title,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    status: this.getStatus(),
+    views: this.views,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -39,10 +39,58 @@ const userSchema = new mongoose.Schema({
     },
     lastRequest: Date
   },
+  preferences: {
+    // Prompt preselected in the chat for new conversations
+    defaultPromptType: {
+      type: String,
+      default: 'general_chat'
+    },
+    theme: {
+      type: String,
+      enum: {
+        values: ['dark', 'light'],
+        message: 'Theme must be dark or light'
+      },
+      default: 'dark'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set once the user opens the link from the verification email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // TOTP two-factor authentication; see services/twoFactor.js
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during setup, moved to secret once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // sha256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -86,6 +134,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   delete user.__v;
   return user;
 };
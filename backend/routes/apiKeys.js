@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { verifyToken } = require('../middleware/auth');
+const { generateApiKey } = require('../services/apiKeys');
+
+const MAX_API_KEYS = 20;
+
+// These routes don't use allowApiKey: keys can't be used to manage keys
+
+// List the user's active API keys
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ userId: req.user.userId, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      keys: keys.map(key => key.toOwnerView()),
+      scopes: ApiKey.SCOPES
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+// Create a key; the response is the only time the full key is returned
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const userId = req.user.userId;
+
+    if (!Array.isArray(scopes)) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must be a list of: ${ApiKey.SCOPES.join(', ')}`
+      });
+    }
+
+    const activeCount = await ApiKey.countDocuments({ userId, revokedAt: null });
+    if (activeCount >= MAX_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_API_KEYS} API keys`
+      });
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      userId,
+      name,
+      scopes: [...new Set(scopes)],
+      keyHash,
+      prefix
+    });
+
+    console.log(`🔑 API key "${apiKey.name}" created for ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey: apiKey.toOwnerView()
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// Revoke a key; it stops working immediately
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.id)
+      ? await ApiKey.findOne({ _id: req.params.id, userId: req.user.userId })
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      console.log(`🔒 API key "${apiKey.name}" revoked`);
+    }
+
+    res.json({
+      success: true,
+      apiKey: apiKey.toOwnerView()
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
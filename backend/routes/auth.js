@@ -1,50 +1,105 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { findTemplate } = require('../services/promptTemplates');
+const { createSession, refreshSession, revokeSessionByToken, toSessionView } = require('../services/sessions');
+const { issueToken, consumeToken } = require('../services/authTokens');
+const { verifyToken, requireRole, allowApiKey } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const AppSettings = require('../models/AppSettings');
+const {
+  TWO_FACTOR_FIELDS,
+  issueChallenge,
+  verifyChallenge,
+  needsTwoFactorSetup,
+  startSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+const { sendMail } = require('../services/mail');
 
-// Helper function to generate token
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      userId: user._id,
-      email: user.email,
+// Helper function to build links into the frontend for emails
+const appUrl = (path) => `${process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173'}${path}`;
+
+// Helper function to email a user a link to confirm their address
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user, 'email_verification');
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name},\n\n` +
+      `Open this link to confirm your email address:\n${appUrl(`/verify-email?token=${token}`)}\n\n` +
+      'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+  });
+};
+
+// Helper function to sign a user in on this device and send the login response
+const completeLogin = async (user, req, res, extra = {}) => {
+  const { token, refreshToken } = await createSession(user, req);
+
+  // Update last login
+  await user.incrementApiUsage();
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
       name: user.name,
-      role: user.role
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      createdAt: user.createdAt,
+      preferences: user.preferences
     },
-    process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-    { expiresIn: '7d' }
-  );
+    ...extra
+  });
 };
 
-// Middleware to verify token
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Access token required'
-    });
+// Codes are only 6 digits, so limit how often they can be tried
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Too many attempts, please try again later'
   }
-  
-  try {
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production'
-    );
-    req.user = decoded;
-    next();
-  } catch (error) {
-    return res.status(403).json({
-      success: false,
-      error: 'Invalid or expired token'
-    });
+});
+
+// Each reset request sends an email, so limit them both per client (one client
+// mailing many addresses) and per address (one inbox flooded from many clients)
+const forgotPasswordLimitOptions = {
+  windowMs: 60 * 60 * 1000,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Too many reset requests, please try again later'
   }
 };
 
+const forgotPasswordIpLimiter = rateLimit({
+  ...forgotPasswordLimitOptions,
+  limit: 10
+});
+
+const forgotPasswordEmailLimiter = rateLimit({
+  ...forgotPasswordLimitOptions,
+  limit: 3,
+  keyGenerator: (req) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+    return `email:${email}`;
+  }
+});
+
 // Register endpoint
 router.post('/register', async (req, res) => {
   try {
@@ -81,19 +136,39 @@ router.post('/register', async (req, res) => {
     await user.save();
     console.log(`User registered: ${user.email}`);
 
-    // Generate token
-    const token = generateToken(user);
+    // A mail failure shouldn't fail the signup; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError);
+    }
+
+    // When the admin policy requires two-factor, no session until it's set up (as in /login)
+    if (await needsTwoFactorSetup(user)) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully',
+        twoFactorSetupRequired: true,
+        challengeToken: issueChallenge(user)
+      });
+    }
+
+    // Sign the new user in on this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        createdAt: user.createdAt
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt,
+        preferences: user.preferences
       }
     });
 
@@ -165,25 +240,25 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // The password is right; a second step may still be needed
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: issueChallenge(user)
+      });
+    }
 
-    // Update last login
-    await user.incrementApiUsage();
+    if (await needsTwoFactorSetup(user)) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: issueChallenge(user)
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt,
-        preferences: user.preferences
-      }
-    });
+    // Start a session for this device
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -194,8 +269,8 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Get current user profile (protected)
-router.get('/me', verifyToken, async (req, res) => {
+// Get current user profile (protected; any API key works, e.g. to check a key from a script)
+router.get('/me', allowApiKey(), verifyToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     
@@ -213,8 +288,10 @@ router.get('/me', verifyToken, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         preferences: user.preferences,
         apiUsage: user.apiUsage,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         createdAt: user.createdAt
       }
     });
@@ -243,7 +320,15 @@ router.put('/preferences', verifyToken, async (req, res) => {
 
     // Update preferences
     if (defaultPromptType) {
-      user.preferences.defaultPromptType = defaultPromptType;
+      // Must be a template this user can chat with (built-in or their own)
+      const template = await findTemplate(String(defaultPromptType), { ownerId: user._id });
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown prompt type: ${defaultPromptType}`
+        });
+      }
+      user.preferences.defaultPromptType = template.key;
     }
     
     if (theme) {
@@ -259,6 +344,663 @@ router.put('/preferences', verifyToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Update preferences error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const result = await refreshSession(refreshToken, req);
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during token refresh'
+    });
+  }
+});
+
+// Sign out this device: the refresh token stops working immediately
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await revokeSessionByToken(refreshToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+});
+
+// List the user's signed-in devices (protected)
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => toSessionView(session, req.user.sessionId))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Sign out every other device (protected)
+router.delete('/sessions', verifyToken, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { userId: req.user.userId, _id: { $ne: req.user.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Sign out one device (protected)
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, userId: req.user.userId })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Email a password reset link (the response is the same whether or not the account exists)
+router.post('/forgot-password', forgotPasswordIpLimiter, forgotPasswordEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user && user.isActive) {
+      const token = await issueToken(user, 'password_reset');
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\n` +
+          `Open this link to choose a new password:\n${appUrl(`/reset-password?token=${token}`)}\n\n` +
+          'The link expires in 1 hour and works once. If you did not ask to reset your password, you can ignore this email.'
+      });
+      console.log(`📧 Password reset requested for ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Set a new password with a token from the reset email; signs out every device
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and new password are required'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters'
+      });
+    }
+
+    const userId = await consumeToken(token, 'password_reset');
+    const user = userId && await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset link'
+      });
+    }
+
+    user.password = password;
+    // The link proves the user can read mail sent to this address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+    console.log(`🔑 Password reset for ${user.email}, all sessions signed out`);
+
+    res.json({
+      success: true,
+      message: 'Password updated, please sign in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token is required'
+      });
+    }
+
+    const userId = await consumeToken(token, 'email_verification');
+    const user = userId && await User.findById(userId);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification link'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address confirmed',
+      email: user.email
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Send a fresh verification email (protected)
+router.post('/resend-verification', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email address is already confirmed'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email'
+    });
+  }
+});
+
+// Second login step: an authenticator or recovery code, or the first code of a
+// required setup. Finishes the login started by POST /login
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyChallenge(challengeToken);
+    const user = userId && await User.findById(userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign-in attempt expired, please enter your password again',
+        code: 'CHALLENGE_EXPIRED'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authentication code is required'
+      });
+    }
+
+    // Setup required by the admin policy: the code confirms the new secret
+    if (!user.twoFactor?.enabled) {
+      const result = await confirmSetup(user._id, code);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      console.log(`🔐 Two-factor authentication set up at login for ${user.email}`);
+      return completeLogin(user, req, res, { recoveryCodes: result.recoveryCodes });
+    }
+
+    const verified = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!verified) {
+      console.log(`❌ Invalid two-factor code for ${user.email}`);
+      return res.status(401).json({
+        success: false,
+        error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+      });
+    }
+
+    if (verified.method === 'recovery_code') {
+      console.log(`🔑 Recovery code used by ${user.email}, ${verified.remainingRecoveryCodes} left`);
+    }
+
+    await completeLogin(user, req, res, verified.method === 'recovery_code'
+      ? { remainingRecoveryCodes: verified.remainingRecoveryCodes }
+      : {});
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login'
+    });
+  }
+});
+
+// Secret and QR code for a setup required at login (see twoFactorSetupRequired)
+router.post('/login/2fa/setup', twoFactorLimiter, async (req, res) => {
+  try {
+    const userId = verifyChallenge(req.body.challengeToken);
+    const user = userId && await User.findById(userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign-in attempt expired, please enter your password again',
+        code: 'CHALLENGE_EXPIRED'
+      });
+    }
+
+    // An enrolled account signs in with its code; setup must not replace it here
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already set up'
+      });
+    }
+
+    const setup = await startSetup(user);
+
+    res.json({
+      success: true,
+      ...setup
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Two-factor status for the settings page (protected)
+router.get('/2fa', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const settings = await AppSettings.getGlobal();
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+        required: settings.requireTwoFactor
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Begin setup from the settings page: returns the secret and QR code (protected)
+router.post('/2fa/setup', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const setup = await startSetup(user);
+
+    res.json({
+      success: true,
+      ...setup
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Confirm setup with a code from the app; returns the recovery codes once (protected)
+router.post('/2fa/enable', verifyToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const result = await confirmSetup(req.user.userId, req.body.code);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    console.log(`🔐 Two-factor authentication enabled for ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: result.recoveryCodes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Replace the recovery codes; needs a current authenticator code (protected)
+router.post('/2fa/recovery-codes', verifyToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const verified = await verifySecondFactor(req.user.userId, { code: req.body.code });
+
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.userId);
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Turn two-factor off; needs the password and a code (protected)
+router.post('/2fa/disable', verifyToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password and authentication code are required'
+      });
+    }
+
+    const settings = await AppSettings.getGlobal();
+    if (settings.requireTwoFactor) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for all accounts'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Incorrect password'
+      });
+    }
+
+    const verified = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+      });
+    }
+
+    await disableTwoFactor(user._id);
+    console.log(`🔓 Two-factor authentication disabled for ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Instance-wide security settings (admin)
+router.get('/security-policy', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const settings = await AppSettings.getGlobal();
+
+    res.json({
+      success: true,
+      policy: {
+        requireTwoFactor: settings.requireTwoFactor,
+        updatedAt: settings.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get security policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Require two-factor for every account (admin). Users without it are sent
+// through setup at their next sign-in or token refresh
+router.put('/security-policy', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { requireTwoFactor } = req.body;
+
+    if (typeof requireTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'requireTwoFactor must be true or false'
+      });
+    }
+
+    const settings = await AppSettings.findOneAndUpdate(
+      { key: 'global' },
+      { requireTwoFactor, updatedBy: req.user.userId, updatedAt: new Date() },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🛡️ Two-factor requirement ${requireTwoFactor ? 'enabled' : 'disabled'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      policy: {
+        requireTwoFactor: settings.requireTwoFactor,
+        updatedAt: settings.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Update security policy error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error'
@@ -274,6 +1016,16 @@ router.get('/test', (req, res) => {
     endpoints: {
       register: 'POST /api/auth/register',
       login: 'POST /api/auth/login',
+      loginTwoFactor: 'POST /api/auth/login/2fa, POST /api/auth/login/2fa/setup',
+      twoFactor: 'GET /api/auth/2fa, POST /api/auth/2fa/setup|enable|disable|recovery-codes (protected)',
+      securityPolicy: 'GET/PUT /api/auth/security-policy (admin)',
+      refresh: 'POST /api/auth/refresh',
+      logout: 'POST /api/auth/logout',
+      forgotPassword: 'POST /api/auth/forgot-password',
+      resetPassword: 'POST /api/auth/reset-password',
+      verifyEmail: 'POST /api/auth/verify-email',
+      resendVerification: 'POST /api/auth/resend-verification (protected)',
+      sessions: 'GET/DELETE /api/auth/sessions, DELETE /api/auth/sessions/:id (protected)',
       profile: 'GET /api/auth/me (protected)',
       preferences: 'PUT /api/auth/preferences (protected)'
     },
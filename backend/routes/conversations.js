@@ -0,0 +1,404 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const ShareLink = require('../models/ShareLink');
+const { verifyToken } = require('../middleware/auth');
+const { linkMessages, validateTree, resolveLeafId } = require('../utils/conversationTree');
+const { EXPORT_FORMATS, resolveFormat, buildConversationExport, renderExport } = require('../services/exporter');
+
+const MAX_MESSAGES = 500;
+const MAX_IMPORT = 50;
+
+// Helper function to validate and normalize a messages array
+// Messages without parentId are linked to the one before them
+// Returns { error } when the payload is unusable
+function normalizeMessages(messages) {
+  if (!Array.isArray(messages)) {
+    return { error: 'messages must be an array' };
+  }
+
+  if (messages.length > MAX_MESSAGES) {
+    return { error: `A conversation cannot exceed ${MAX_MESSAGES} messages` };
+  }
+
+  const normalized = [];
+  for (const message of messages) {
+    if (!message || !message.id || !['user', 'assistant'].includes(message.role)) {
+      return { error: 'Each message needs an id and a role of user or assistant' };
+    }
+
+    normalized.push({
+      id: String(message.id),
+      parentId: message.parentId === undefined || message.parentId === null ? message.parentId : String(message.parentId),
+      role: message.role,
+      content: typeof message.content === 'string' ? message.content : '',
+      promptType: message.promptType,
+      mode: message.mode,
+      tokensUsed: message.tokensUsed,
+      stopped: message.stopped === true ? true : undefined,
+      feedback: ['up', 'down'].includes(message.feedback) ? message.feedback : undefined,
+      generationId: mongoose.isValidObjectId(message.generationId) ? message.generationId : undefined,
+      timestamp: message.timestamp || new Date()
+    });
+  }
+
+  const linked = linkMessages(normalized);
+  const treeError = validateTree(linked);
+  if (treeError) {
+    return { error: treeError };
+  }
+
+  return { messages: linked };
+}
+
+// Helper function to validate a prompt template key sent by the client
+// Returns undefined for anything that cannot be a template key
+function normalizePromptType(promptType) {
+  return typeof promptType === 'string' && /^[a-z0-9_]{2,50}$/.test(promptType)
+    ? promptType
+    : undefined;
+}
+
+// List the user's conversations, most recently updated first
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { limit = 50, skip = 0 } = req.query;
+    const query = { userId: req.user.userId };
+
+    const conversations = await Conversation.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(parseInt(skip))
+      .limit(parseInt(limit));
+
+    const total = await Conversation.countDocuments(query);
+
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => conversation.toSummary()),
+      total,
+      hasMore: total > (parseInt(skip) + parseInt(limit))
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations'
+    });
+  }
+});
+
+// Import conversations saved in browser localStorage (one-time migration)
+router.post('/import', verifyToken, async (req, res) => {
+  try {
+    const { conversations } = req.body;
+
+    if (!Array.isArray(conversations)) {
+      return res.status(400).json({
+        success: false,
+        error: 'conversations must be an array'
+      });
+    }
+
+    const userId = req.user.userId;
+    let imported = 0;
+    let skipped = 0;
+
+    for (const local of conversations.slice(0, MAX_IMPORT)) {
+      const { messages, error } = normalizeMessages(local?.messages);
+
+      // Skip malformed entries and ones imported on a previous attempt
+      if (error || messages.length === 0) {
+        skipped++;
+        continue;
+      }
+
+      const clientId = local.id ? String(local.id) : undefined;
+      if (clientId && await Conversation.exists({ userId, clientId })) {
+        skipped++;
+        continue;
+      }
+
+      const conversation = new Conversation({
+        userId,
+        clientId,
+        title: local.title || Conversation.deriveTitle(messages),
+        messages,
+        currentLeafId: resolveLeafId(messages),
+        promptType: normalizePromptType(local.promptType),
+        createdAt: local.lastUpdated || Date.now()
+      });
+
+      // A bad field (e.g. an unparseable lastUpdated) skips just this entry
+      try {
+        await conversation.save();
+
+        // Keep the original ordering by last activity
+        if (local.lastUpdated) {
+          await Conversation.updateOne({ _id: conversation._id }, { updatedAt: new Date(local.lastUpdated) });
+        }
+        imported++;
+      } catch (entryError) {
+        console.error(`⚠️ Skipping local conversation ${clientId || '(no id)'}:`, entryError.message);
+        // Remove a half-written import so a later attempt can retry it
+        if (!conversation.isNew) {
+          await Conversation.deleteOne({ _id: conversation._id });
+        }
+        skipped++;
+      }
+    }
+
+    console.log(`📥 Imported ${imported} local conversations for ${req.user.email} (${skipped} skipped)`);
+
+    res.json({
+      success: true,
+      imported,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error importing conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import conversations'
+    });
+  }
+});
+
+// Get a conversation with its messages
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      conversation: conversation.toDetail()
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation'
+    });
+  }
+});
+
+// Export a conversation's active branch as a file (format: markdown, json, html or pdf)
+router.get('/:id/export', verifyToken, async (req, res) => {
+  try {
+    const format = resolveFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const file = await renderExport(buildConversationExport(conversation), format);
+
+    res.attachment(file.filename);
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error exporting conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export conversation'
+    });
+  }
+});
+
+// Create a conversation
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { title, messages = [], currentLeafId, promptType } = req.body;
+
+    const normalized = normalizeMessages(messages);
+    if (normalized.error) {
+      return res.status(400).json({
+        success: false,
+        error: normalized.error
+      });
+    }
+
+    const conversation = new Conversation({
+      userId: req.user.userId,
+      title: title || Conversation.deriveTitle(normalized.messages),
+      messages: normalized.messages,
+      currentLeafId: resolveLeafId(normalized.messages, currentLeafId),
+      promptType: normalizePromptType(promptType)
+    });
+
+    await conversation.save();
+
+    res.status(201).json({
+      success: true,
+      conversation: conversation.toDetail()
+    });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create conversation'
+    });
+  }
+});
+
+// Update a conversation's title, messages and/or prompt type
+router.put('/:id', verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const { title, messages, currentLeafId, promptType } = req.body;
+
+    if (messages !== undefined) {
+      const normalized = normalizeMessages(messages);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          error: normalized.error
+        });
+      }
+      conversation.messages = normalized.messages;
+    }
+
+    // Switching branches only changes the selected leaf
+    if (messages !== undefined || currentLeafId !== undefined) {
+      conversation.currentLeafId = resolveLeafId(
+        conversation.messages,
+        currentLeafId || conversation.currentLeafId
+      );
+    }
+
+    if (title) {
+      conversation.title = title;
+    }
+
+    if (normalizePromptType(promptType)) {
+      conversation.promptType = promptType;
+    }
+
+    await conversation.save();
+
+    res.json({
+      success: true,
+      conversation: conversation.toDetail()
+    });
+  } catch (error) {
+    console.error('Error updating conversation:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update conversation'
+    });
+  }
+});
+
+// Delete a conversation
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const result = await Conversation.deleteOne({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    // Its share links would only ever return 404 from now on
+    await ShareLink.deleteMany({ resourceType: 'conversation', resourceId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete conversation'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,105 +1,115 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const mongoose = require('mongoose');
 const Generation = require('../models/Generation');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const { verifyToken, requireRole, allowApiKey, allowAnonymous, anonymousQuota } = require('../middleware/auth');
+const { buildChatMessages, validateHistory } = require('../utils/contextWindow');
+const llm = require('../services/llm');
+const PromptTemplate = require('../models/PromptTemplate');
+const PromptTemplateVersion = require('../models/PromptTemplateVersion');
+const { listTemplates, findTemplate, saveTemplate, rollbackTemplate } = require('../services/promptTemplates');
+const { diffLines } = require('../utils/textDiff');
+const { getSearchTerms, buildSnippet } = require('../utils/searchSnippets');
+const DEFAULT_PROMPTS = require('../data/defaultPrompts');
+const { validateVariableValues, renderTemplate } = require('../utils/templateVariables');
+const { EXPORT_FORMATS, resolveFormat, buildGenerationsExport, renderExport } = require('../services/exporter');
 
-// Helper function to verify token
-const verifyToken = (req, res, next) => {
-  console.log('🔐 Auth check for:', req.path);
-  
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  console.log('Token check:', {
-    hasAuthHeader: !!authHeader,
-    tokenExists: !!token,
-    tokenType: token ? token.substring(0, 10) + '...' : 'none'
-  });
-  
-  // For development/demo: Accept requests without token
-  if (!token && process.env.NODE_ENV === 'development') {
-    console.log('⚠️ No token in development mode, creating demo user');
-    req.user = { 
-      userId: '507f1f77bcf86cd799439011', // Valid ObjectId format
-      name: 'Demo User', 
-      email: 'demo@example.com' 
-    };
-    return next();
-  }
-  
-  if (!token) {
-    console.log('❌ No token provided');
-    return res.status(401).json({ 
-      success: false, 
-      error: 'Access token required' 
-    });
+const MAX_PRIVATE_PROMPTS = 50;
+const MAX_SEARCH_LENGTH = 200;
+const MAX_EXPORT_GENERATIONS = 500;
+
+// Helper function to turn from/to query values into a createdAt filter
+// Returns { error } for unparseable dates, {} when neither is given
+function parseDateRange(from, to) {
+  const createdAt = {};
+
+  if (from) {
+    const start = new Date(from);
+    if (isNaN(start)) return { error: 'Invalid from date' };
+    createdAt.$gte = start;
   }
-  
-  try {
-    // Verify the token
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production'
-    );
-    
-    console.log('✅ Token verified for user:', decoded.email);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    console.error('❌ Token verification failed:', error.message);
-    
-    // More specific error messages
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Token expired',
-        code: 'TOKEN_EXPIRED'
-      });
-    }
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token',
-        code: 'INVALID_TOKEN'
-      });
+
+  if (to) {
+    const end = new Date(to);
+    if (isNaN(end)) return { error: 'Invalid to date' };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      createdAt.$lt = end;
+    } else {
+      createdAt.$lte = end;
     }
-    
-    return res.status(401).json({
-      success: false,
-      error: 'Authentication failed'
-    });
-  }
-};
-
-// Hardcoded custom prompts
-const CUSTOM_PROMPTS = {
-  general_chat: "You are a helpful AI assistant. Respond conversationally and provide detailed, helpful responses.",
-  business_plan: "Analyze this business idea and provide a comprehensive business plan including market analysis, SWOT analysis, target audience, marketing strategy, and financial projections.",
-  code_review: "Review this code for best practices, identify bugs, security issues, suggest optimizations, and provide improved code examples.",
-  content_strategy: "Create a content strategy including topics, platforms, posting schedule, engagement tactics, and performance metrics.",
-  market_research: "Provide detailed market research including competitors, trends, opportunities, threats, and market size.",
-  learning_path: "Create a personalized learning path with resources, milestones, projects, and assessment methods.",
-  email_writing: "Write professional, clear, and effective emails for the given purpose and audience.",
-  creative_writing: "Help with creative writing including stories, poems, scripts, and brainstorming ideas.",
-  problem_solving: "Analyze problems systematically and provide step-by-step solutions with implementation guidance.",
-  // New prompt for Codeforces analysis
-  codeforces_analysis: "You are a competitive programming expert specializing in Codeforces analysis. Analyze the user's Codeforces data and provide specific, actionable recommendations including problem IDs, areas to focus on, and study plans. Structure your response with clear sections and be specific about problem recommendations."
-};
+  }
+
+  return Object.keys(createdAt).length > 0 ? { createdAt } : {};
+}
+
+// Helper function to build the Generation filter shared by history listing and export
+// Returns { query, q } or { error } for invalid filter values
+function buildHistoryQuery(user, { promptType, mode, from, to, q: rawQuery }) {
+  const q = typeof rawQuery === 'string' ? rawQuery.trim() : '';
+  const query = { userId: user.userId };
+
+  if (promptType && promptType !== 'all') {
+    query.promptType = String(promptType);
+  }
+
+  if (mode && mode !== 'all') {
+    query.mode = String(mode);
+  }
+
+  // Date range; a bare date for "to" includes that whole day
+  const range = parseDateRange(from, to);
+  if (range.error) return { error: range.error };
+  if (range.createdAt) {
+    query.createdAt = range.createdAt;
+  }
+
+  if (q.length > MAX_SEARCH_LENGTH) {
+    return { error: `Search cannot exceed ${MAX_SEARCH_LENGTH} characters` };
+  }
+  if (q) {
+    query.$text = { $search: q };
+  }
+
+  return { query, q };
+}
+
+const FEEDBACK_CATEGORIES = Generation.schema.path('feedback.category').enumValues;
+
+// Helper function to shape a generation's feedback for responses (null when unrated)
+function formatFeedback(feedback) {
+  if (!feedback || !feedback.rating) return null;
+  return {
+    rating: feedback.rating,
+    category: feedback.category,
+    comment: feedback.comment,
+    updatedAt: feedback.updatedAt
+  };
+}
 
 // Test endpoint
 router.get('/test', (req, res) => {
   res.json({
     success: true,
     message: 'DeepSeek routes are working!',
-    available_prompts: Object.keys(CUSTOM_PROMPTS),
+    available_prompts: DEFAULT_PROMPTS.map(prompt => prompt.key),
     endpoints: {
       generate: 'POST /api/deepseek/generate',
+      generate_stream: 'POST /api/deepseek/generate/stream',
       codeforces: 'POST /api/deepseek/codeforces',
       prompts: 'GET /api/deepseek/prompts',
       prompts_by_id: 'GET /api/deepseek/prompts/:id',
+      prompts_create: 'POST /api/deepseek/prompts (admin)',
+      prompts_update: 'PUT /api/deepseek/prompts/:id (admin)',
+      prompts_delete: 'DELETE /api/deepseek/prompts/:id (admin)',
+      my_prompts: 'GET/POST /api/deepseek/my-prompts',
+      my_prompts_by_id: 'PUT/DELETE /api/deepseek/my-prompts/:id',
+      prompt_versions: 'GET /api/deepseek/prompts/:id/versions',
+      prompt_version: 'GET /api/deepseek/prompts/:id/versions/:version',
+      prompt_diff: 'GET /api/deepseek/prompts/:id/diff?from=&to=',
+      prompt_rollback: 'POST /api/deepseek/prompts/:id/rollback',
+      providers: 'GET /api/deepseek/providers',
       test: 'GET /api/deepseek/test',
       history: 'GET /api/deepseek/history',
       history_by_id: 'GET /api/deepseek/history/:id',
@@ -110,166 +120,635 @@ router.get('/test', (req, res) => {
 });
 
 // Get available prompt types
-router.get('/prompts', verifyToken, (req, res) => {
-  const prompts = Object.keys(CUSTOM_PROMPTS).map(key => ({
-    id: key,
-    name: key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
-    description: CUSTOM_PROMPTS[key].substring(0, 150),
-    category: getCategory(key)
-  }));
-  
+router.get('/prompts', allowApiKey('generate'), allowAnonymous, verifyToken, async (req, res) => {
+  try {
+    // Admins can ask for disabled templates too
+    const includeDisabled = req.user.role === 'admin' && req.query.includeDisabled === 'true';
+    const templates = await listTemplates({ includeDisabled, ownerId: req.user.userId });
+    const prompts = templates.map(template => template.toPublic());
+
+    res.json({
+      success: true,
+      prompts: prompts,
+      categories: [...new Set(prompts.map(prompt => prompt.category))],
+      user: req.user.name
+    });
+  } catch (error) {
+    console.error('Error fetching prompts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompts'
+    });
+  }
+});
+
+// Get available model providers
+router.get('/providers', allowApiKey('generate'), allowAnonymous, verifyToken, (req, res) => {
   res.json({
     success: true,
-    prompts: prompts,
-    user: req.user.name
+    providers: llm.listProviders(),
+    default: llm.getDefaultProviderName()
+  });
+});
+
+// Get prompt by ID
+router.get('/prompts/:id', verifyToken, async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id, {
+      includeDisabled: req.user.role === 'admin',
+      ownerId: req.user.userId
+    });
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      prompt: template.toPublic({ full: true })
+    });
+  } catch (error) {
+    console.error('Error fetching prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompt'
+    });
+  }
+});
+
+// Helper function to check whether a user may edit a template
+// Global templates belong to admins, private ones to their owner
+function canManageTemplate(user, template) {
+  if (template.owner) {
+    return String(template.owner) === String(user.userId);
+  }
+  return user.role === 'admin';
+}
+
+// Helper function to load a template for the version routes
+// Disabled templates are only visible to the people who manage them
+async function findVersionedTemplate(req) {
+  const template = await findTemplate(req.params.id, {
+    includeDisabled: true,
+    ownerId: req.user.userId
+  });
+
+  if (!template || (!template.enabled && !canManageTemplate(req.user, template))) {
+    return null;
+  }
+  return template;
+}
+
+// List a template's versions, newest first
+router.get('/prompts/:id/versions', verifyToken, async (req, res) => {
+  try {
+    const template = await findVersionedTemplate(req);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    const versions = await PromptTemplateVersion.find({ template: template._id })
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      prompt: template.key,
+      currentVersion: template.version,
+      versions: versions.map(version => version.toPublic())
+    });
+  } catch (error) {
+    console.error('Error fetching prompt versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompt versions'
+    });
+  }
+});
+
+// Get the full content of one version
+router.get('/prompts/:id/versions/:version', verifyToken, async (req, res) => {
+  try {
+    const template = await findVersionedTemplate(req);
+    const version = template && await PromptTemplateVersion.findOne({
+      template: template._id,
+      version: parseInt(req.params.version) || 0
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      prompt: template.key,
+      version: version.toPublic({ full: true })
+    });
+  } catch (error) {
+    console.error('Error fetching prompt version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompt version'
+    });
+  }
+});
+
+// Compare two versions; "to" defaults to the current version
+router.get('/prompts/:id/diff', verifyToken, async (req, res) => {
+  try {
+    const template = await findVersionedTemplate(req);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to) || template.version;
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        error: 'from version is required'
+      });
+    }
+
+    const [before, after] = await Promise.all([
+      PromptTemplateVersion.findOne({ template: template._id, version: from }),
+      PromptTemplateVersion.findOne({ template: template._id, version: to })
+    ]);
+
+    if (!before || !after) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    // Only fields that differ are listed; systemPrompt is a line diff
+    const changes = {};
+    ['name', 'category'].forEach(field => {
+      if (before[field] !== after[field]) {
+        changes[field] = { before: before[field], after: after[field] };
+      }
+    });
+    if (before.systemPrompt !== after.systemPrompt) {
+      changes.systemPrompt = diffLines(before.systemPrompt, after.systemPrompt);
+    }
+    if (JSON.stringify(before.variables) !== JSON.stringify(after.variables)) {
+      changes.variables = { before: before.variables, after: after.variables };
+    }
+
+    res.json({
+      success: true,
+      prompt: template.key,
+      from,
+      to,
+      identical: Object.keys(changes).length === 0,
+      changes
+    });
+  } catch (error) {
+    console.error('Error comparing prompt versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare prompt versions'
+    });
+  }
+});
+
+// Roll a template back to an older version (recorded as a new version)
+router.post('/prompts/:id/rollback', verifyToken, async (req, res) => {
+  try {
+    const template = await findVersionedTemplate(req);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    if (!canManageTemplate(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot modify this prompt'
+      });
+    }
+
+    const version = parseInt(req.body.version);
+    if (!version || version === template.version) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be an earlier version number'
+      });
+    }
+
+    const restored = await rollbackTemplate(template, version, {
+      changedBy: req.user.userId
+    });
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    console.log(`⏪ Prompt ${restored.key} rolled back to v${version} (now v${restored.version}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      restoredFrom: version,
+      prompt: restored.toPublic({ full: true })
+    });
+  } catch (error) {
+    if (error.name === 'VersionConflictError') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error rolling back prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back prompt'
+    });
+  }
+});
+
+// Fields admins may set on a template
+const EDITABLE_PROMPT_FIELDS = ['name', 'systemPrompt', 'category', 'color', 'icon', 'variables', 'enabled'];
+
+// Helper function to pick editable fields from a request body
+function pickPromptFields(body) {
+  const fields = {};
+  EDITABLE_PROMPT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+}
+
+// Helper function to turn mongoose save errors into API responses
+function sendPromptSaveError(res, error, action) {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      error: errors.join(', ')
+    });
+  }
+
+  if (error.name === 'VersionConflictError') {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A prompt with this id already exists'
+    });
+  }
+
+  console.error(`Error ${action} prompt:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action} prompt`
   });
+}
+
+// Create prompt template (admin)
+router.post('/prompts', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { id, systemPrompt, description } = req.body;
+
+    const template = new PromptTemplate({
+      key: id,
+      ...pickPromptFields(req.body),
+      // Accept "description" as an alias, matching the GET response shape
+      systemPrompt: systemPrompt || description
+    });
+
+    await saveTemplate(template, { changedBy: req.user.userId });
+    console.log(`📝 Prompt template created: ${template.key} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      prompt: template.toPublic({ full: true })
+    });
+  } catch (error) {
+    sendPromptSaveError(res, error, 'create');
+  }
+});
+
+// Update prompt template (admin)
+router.put('/prompts/:id', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const template = await PromptTemplate.findOne({ key: req.params.id, owner: null });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    const fields = pickPromptFields(req.body);
+    if (!fields.systemPrompt && req.body.description) {
+      fields.systemPrompt = req.body.description;
+    }
+    template.set(fields);
+
+    await saveTemplate(template, { changedBy: req.user.userId });
+    console.log(`📝 Prompt template updated: ${template.key} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      prompt: template.toPublic({ full: true })
+    });
+  } catch (error) {
+    sendPromptSaveError(res, error, 'update');
+  }
+});
+
+// Delete prompt template (admin) - built-ins can only be disabled
+router.delete('/prompts/:id', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const template = await PromptTemplate.findOne({ key: req.params.id, owner: null });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    if (template.isBuiltIn) {
+      return res.status(400).json({
+        success: false,
+        error: 'Built-in prompts cannot be deleted. Set enabled to false instead.'
+      });
+    }
+
+    await template.deleteOne();
+    console.log(`🗑️ Prompt template deleted: ${template.key} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Prompt deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete prompt'
+    });
+  }
+});
+
+// List the user's private prompt templates
+router.get('/my-prompts', verifyToken, async (req, res) => {
+  try {
+    const templates = await PromptTemplate.find({ owner: req.user.userId })
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      prompts: templates.map(template => template.toPublic({ full: true }))
+    });
+  } catch (error) {
+    console.error('Error fetching private prompts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompts'
+    });
+  }
+});
+
+// Create a private prompt template
+router.post('/my-prompts', verifyToken, async (req, res) => {
+  try {
+    const owner = req.user.userId;
+
+    const count = await PromptTemplate.countDocuments({ owner });
+    if (count >= MAX_PRIVATE_PROMPTS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can save up to ${MAX_PRIVATE_PROMPTS} prompts`
+      });
+    }
+
+    const template = new PromptTemplate({
+      category: 'My Prompts',
+      ...pickPromptFields(req.body),
+      owner
+    });
+    // Private ids are generated so they never collide with global ones
+    template.key = `user_${template._id}`;
+
+    await saveTemplate(template, { changedBy: req.user.userId });
+    console.log(`📝 Private prompt created: ${template.key} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      prompt: template.toPublic({ full: true })
+    });
+  } catch (error) {
+    sendPromptSaveError(res, error, 'create');
+  }
+});
+
+// Update a private prompt template
+router.put('/my-prompts/:id', verifyToken, async (req, res) => {
+  try {
+    const template = await PromptTemplate.findOne({
+      key: req.params.id,
+      owner: req.user.userId
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    template.set(pickPromptFields(req.body));
+    await saveTemplate(template, { changedBy: req.user.userId });
+
+    res.json({
+      success: true,
+      prompt: template.toPublic({ full: true })
+    });
+  } catch (error) {
+    sendPromptSaveError(res, error, 'update');
+  }
 });
 
-// Get prompt by ID
-router.get('/prompts/:id', verifyToken, (req, res) => {
-  const promptId = req.params.id;
-  const prompt = CUSTOM_PROMPTS[promptId];
-  
-  if (!prompt) {
-    return res.status(404).json({
-      success: false,
-      error: 'Prompt not found'
-    });
+// Delete a private prompt template
+router.delete('/my-prompts/:id', verifyToken, async (req, res) => {
+  try {
+    const result = await PromptTemplate.deleteOne({
+      key: req.params.id,
+      owner: req.user.userId
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prompt deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting private prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete prompt'
+    });
+  }
+});
+
+// Helper function to validate a generate request and build its message list
+// Returns { error } when the request is invalid, plus { fields } for bad template variables
+// ownerId makes the user's private templates usable as promptType
+async function prepareChatRequest({ promptType, userInput, context = '', messages: history, provider, variables }, ownerId) {
+  if (!promptType || !userInput) {
+    return { error: 'promptType and userInput are required' };
+  }
+
+  // Get the custom prompt template
+  const template = await findTemplate(promptType, { ownerId });
+  if (!template) {
+    const templates = await listTemplates({ ownerId });
+    return { error: 'Invalid prompt type. Available types: ' + templates.map(t => t.key).join(', ') };
+  }
+
+  // Fill the template's {{variables}} from the submitted values
+  const variableCheck = validateVariableValues(template.variables, variables);
+  if (variableCheck.fields) {
+    return {
+      error: 'Missing or invalid template variables: ' + variableCheck.fields.map(field => field.name).join(', '),
+      fields: variableCheck.fields
+    };
+  }
+  const customPrompt = renderTemplate(template.systemPrompt, variableCheck.values);
+
+  const historyError = validateHistory(history);
+  if (historyError) {
+    return { error: historyError };
+  }
+
+  const providerError = llm.validateProviderName(provider);
+  if (providerError) {
+    return { error: providerError };
   }
-  
-  res.json({
-    success: true,
-    prompt: {
-      id: promptId,
-      name: promptId.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
-      description: prompt,
-      category: getCategory(promptId),
-      color: getPromptColor(promptId)
-    }
+
+  // Context and template form the system prompt; earlier turns follow it
+  const { messages, estimatedTokens, droppedMessages } = buildChatMessages({
+    systemPrompt: context ? `${context}\n${customPrompt}` : customPrompt,
+    history: history || [],
+    userInput
   });
-});
 
-// Helper function to categorize prompts
-function getCategory(promptId) {
-  const categories = {
-    Business: ['business_plan', 'market_research'],
-    Development: ['code_review', 'learning_path', 'codeforces_analysis'],
-    Marketing: ['content_strategy', 'email_writing'],
-    Creative: ['creative_writing'],
-    General: ['general_chat', 'problem_solving']
-  };
-  
-  for (const [category, prompts] of Object.entries(categories)) {
-    if (prompts.includes(promptId)) {
-      return category;
-    }
+  if (droppedMessages > 0) {
+    console.log(`✂️ Dropped ${droppedMessages} old messages to fit the context budget (~${estimatedTokens} tokens)`);
   }
-  return 'General';
-}
 
-// Helper function to get prompt color
-function getPromptColor(promptId) {
-  const colors = {
-    business_plan: '#4caf50',
-    code_review: '#f44336',
-    content_strategy: '#ff9800',
-    general_chat: '#2196f3',
-    market_research: '#8bc34a',
-    learning_path: '#00bcd4',
-    email_writing: '#3f51b5',
-    creative_writing: '#9c27b0',
-    problem_solving: '#607d8b',
-    codeforces_analysis: '#9c27b0'
+  return {
+    messages,
+    provider: provider || undefined,
+    variables: template.variables.length > 0 ? variableCheck.values : undefined,
+    templateId: template._id,
+    templateVersion: template.version
   };
-  return colors[promptId] || '#2196f3';
+}
+
+// Helper function to create an AbortController that fires when the client disconnects
+// (res 'close' before the response finished) so the upstream call is cancelled too
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller;
 }
 
 // Get response from DeepSeek API - General endpoint
-router.post('/generate', verifyToken, async (req, res) => {
+router.post('/generate', allowApiKey('generate'), allowAnonymous, verifyToken, anonymousQuota, async (req, res) => {
+  const controller = abortOnDisconnect(res);
+
   try {
-    const { promptType, userInput, context = '' } = req.body;
+    const { promptType, userInput, context = '', messages: history } = req.body;
     
     console.log('Generate request received:', { 
       promptType, 
       userInputLength: userInput?.length,
       contextLength: context?.length,
+      historyLength: Array.isArray(history) ? history.length : 0,
       user: req.user.name 
     });
     
-    // Validate request
-    if (!promptType || !userInput) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'promptType and userInput are required' 
-      });
-    }
-
-    // Get the custom prompt template
-    const customPrompt = CUSTOM_PROMPTS[promptType];
-    if (!customPrompt) {
+    // Validate request and build the message list
+    const chatRequest = await prepareChatRequest(req.body, req.user.userId);
+    if (chatRequest.error) {
       return res.status(400).json({ 
         success: false,
-        error: 'Invalid prompt type. Available types: ' + Object.keys(CUSTOM_PROMPTS).join(', ')
+        error: chatRequest.error,
+        fields: chatRequest.fields
       });
     }
 
-    // Combine context, custom prompt with user input
-    const fullPrompt = context ? 
-      `${context}\n${customPrompt}\n\nUser Input: ${userInput}` :
-      `${customPrompt}\n\nUser Input: ${userInput}`;
-
-    // Call the AI API
-    const aiResult = await callDeepSeekAPI(fullPrompt, req.user);
+    // Call the configured (or requested) model provider
+    const aiResult = await llm.complete(chatRequest.messages, {
+      provider: chatRequest.provider,
+      promptType,
+      signal: controller.signal
+    });
     
     // Save to Generation model
-    let savedGeneration = null;
-    try {
-      // Create ObjectId for demo user if needed
-      let userId;
-      if (req.user.userId && req.user.userId.startsWith('demo')) {
-        userId = '507f1f77bcf86cd799439011'; // Valid ObjectId format
-      } else {
-        userId = req.user.userId;
-      }
-
-      const generation = new Generation({
-        userId: userId,
-        promptType,
-        userInput,
-        aiResponse: aiResult.data,
-        tokensUsed: aiResult.tokensUsed,
-        mode: aiResult.mode
-      });
-      
-      savedGeneration = await generation.save();
-      console.log(`✅ Generation saved to database (${aiResult.mode} mode)`);
-      
-      // Update user's API usage
-      try {
-        const user = await User.findById(userId);
-        if (user) {
-          await user.incrementApiUsage(aiResult.tokensUsed);
-        }
-      } catch (userError) {
-        console.log('Could not update user API usage:', userError.message);
-      }
-      
-    } catch (dbError) {
-      console.error('Failed to save generation to database:', dbError.message);
-      // Continue even if save fails
-    }
+    const savedGeneration = await saveGeneration(req.user, {
+      promptType,
+      userInput,
+      variables: chatRequest.variables,
+      templateId: chatRequest.templateId,
+      templateVersion: chatRequest.templateVersion,
+      ...toGenerationFields(aiResult)
+    });
 
     res.json({
       success: true,
-      data: aiResult.data,
       promptType,
-      mode: aiResult.mode,
-      tokens: aiResult.tokensUsed,
+      ...toResponseFields(aiResult),
       generationId: savedGeneration ? savedGeneration._id : null,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    // The client went away; there is nobody to answer
+    if (controller.signal.aborted) {
+      console.log('⏹️ Generate request cancelled by the client');
+      return;
+    }
+
     console.error('Generate endpoint error:', error);
     
     res.status(500).json({
@@ -281,8 +760,97 @@ router.post('/generate', verifyToken, async (req, res) => {
   }
 });
 
+// Streaming variant of /generate - forwards deltas as Server-Sent Events
+router.post('/generate/stream', allowApiKey('generate'), allowAnonymous, verifyToken, anonymousQuota, async (req, res) => {
+  const { promptType, userInput, context = '', messages: history } = req.body;
+
+  console.log('Stream request received:', {
+    promptType,
+    userInputLength: userInput?.length,
+    contextLength: context?.length,
+    historyLength: Array.isArray(history) ? history.length : 0,
+    user: req.user.name
+  });
+
+  // Validate request before switching to an event stream
+  let chatRequest;
+  try {
+    chatRequest = await prepareChatRequest(req.body, req.user.userId);
+  } catch (error) {
+    console.error('Stream endpoint error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate response',
+      details: error.message
+    });
+  }
+  if (chatRequest.error) {
+    return res.status(400).json({
+      success: false,
+      error: chatRequest.error,
+      fields: chatRequest.fields
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // Closing the connection (the Stop button) cancels the upstream call
+  const controller = abortOnDisconnect(res);
+
+  const sendEvent = (event, data) => {
+    if (controller.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const aiResult = await llm.stream(chatRequest.messages, {
+      provider: chatRequest.provider,
+      promptType,
+      signal: controller.signal,
+      onDelta: (text) => sendEvent('delta', { text })
+    });
+
+    // Persist the response once the stream has ended; partial if it was stopped
+    const savedGeneration = await saveGeneration(req.user, {
+      promptType,
+      userInput,
+      variables: chatRequest.variables,
+      templateId: chatRequest.templateId,
+      templateVersion: chatRequest.templateVersion,
+      ...toGenerationFields(aiResult)
+    });
+
+    sendEvent('done', {
+      success: true,
+      promptType,
+      ...toResponseFields(aiResult),
+      status: aiResult.stopped ? 'stopped' : 'completed',
+      generationId: savedGeneration ? savedGeneration._id : null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Stream endpoint error:', error);
+    sendEvent('error', {
+      success: false,
+      error: 'Failed to generate response',
+      details: error.message,
+      mode: 'error'
+    });
+  }
+
+  res.end();
+});
+
 // Special endpoint for Codeforces analysis
-router.post('/codeforces', verifyToken, async (req, res) => {
+router.post('/codeforces', allowApiKey('generate'), verifyToken, async (req, res) => {
+  const controller = abortOnDisconnect(res);
+
   try {
     const { handle, userData, analysis } = req.body;
     
@@ -305,62 +873,45 @@ router.post('/codeforces', verifyToken, async (req, res) => {
     const codeforcesPrompt = generateCodeforcesPrompt(handle, userData, analysis);
     
     // Call the AI API with the Codeforces-specific prompt
-    const aiResult = await callDeepSeekAPI(codeforcesPrompt, req.user, CUSTOM_PROMPTS.codeforces_analysis);
+    const template = await findTemplate('codeforces_analysis');
+    const systemPrompt = template
+      ? template.systemPrompt
+      : DEFAULT_PROMPTS.find(prompt => prompt.key === 'codeforces_analysis').systemPrompt;
+
+    const aiResult = await llm.complete([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: codeforcesPrompt }
+    ], { promptType: 'codeforces_analysis', signal: controller.signal });
     
     // Save to Generation model
-    let savedGeneration = null;
-    try {
-      // Create ObjectId for demo user if needed
-      let userId;
-      if (req.user.userId && req.user.userId.startsWith('demo')) {
-        userId = '507f1f77bcf86cd799439011'; // Valid ObjectId format
-      } else {
-        userId = req.user.userId;
-      }
-
-      const generation = new Generation({
-        userId: userId,
-        promptType: 'codeforces_analysis',
-        userInput: `Codeforces analysis for ${handle}`,
-        aiResponse: aiResult.data,
-        tokensUsed: aiResult.tokensUsed,
-        mode: aiResult.mode,
-        metadata: {
-          handle: handle,
-          rating: userData.rating,
-          problemsSolved: analysis.totalProblemsSolved
-        }
-      });
-      
-      savedGeneration = await generation.save();
-      console.log(`✅ Codeforces generation saved to database (${aiResult.mode} mode)`);
-      
-      // Update user's API usage
-      try {
-        const user = await User.findById(userId);
-        if (user) {
-          await user.incrementApiUsage(aiResult.tokensUsed);
-        }
-      } catch (userError) {
-        console.log('Could not update user API usage:', userError.message);
+    const savedGeneration = await saveGeneration(req.user, {
+      promptType: 'codeforces_analysis',
+      userInput: `Codeforces analysis for ${handle}`,
+      templateId: template?._id,
+      templateVersion: template?.version,
+      ...toGenerationFields(aiResult),
+      metadata: {
+        handle: handle,
+        rating: userData.rating,
+        problemsSolved: analysis.totalProblemsSolved
       }
-      
-    } catch (dbError) {
-      console.error('Failed to save generation to database:', dbError.message);
-      // Continue even if save fails
-    }
+    });
 
     res.json({
       success: true,
-      data: aiResult.data,
       promptType: 'codeforces_analysis',
-      mode: aiResult.mode,
-      tokens: aiResult.tokensUsed,
+      ...toResponseFields(aiResult),
       generationId: savedGeneration ? savedGeneration._id : null,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    // The client went away; there is nobody to answer
+    if (controller.signal.aborted) {
+      console.log('⏹️ Codeforces analysis cancelled by the client');
+      return;
+    }
+
     console.error('Codeforces endpoint error:', error);
     
     // Generate fallback response
@@ -377,66 +928,64 @@ router.post('/codeforces', verifyToken, async (req, res) => {
   }
 });
 
-// Helper function to call DeepSeek API
-async function callDeepSeekAPI(fullPrompt, user, systemPrompt = 'You are a helpful AI assistant specialized in providing detailed, structured responses.') {
-  // Check if we have a DeepSeek API key
-  const apiKey = process.env.DEEPSEEK_API_KEY;
-  let aiResponse = '';
-  let tokensUsed = 0;
-  let mode = 'mock';
-  
-  if (!apiKey || apiKey === 'your-deepseek-api-key-here') {
-    console.log('⚠️ No valid DeepSeek API key found, using mock response');
-    aiResponse = generateMockResponse('general_chat', fullPrompt);
-    mode = 'mock';
-  } else {
-    try {
-      // Call DeepSeek API
-      console.log('Calling DeepSeek API...');
-      const response = await axios.post(
-        'https://api.deepseek.com/v1/chat/completions',
-        {
-          model: 'deepseek-chat',
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: fullPrompt
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 2000
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000 // 30 second timeout
-        }
-      );
+// Helper function to map a provider result onto Generation fields
+function toGenerationFields(aiResult) {
+  return {
+    aiResponse: aiResult.text,
+    tokensUsed: aiResult.usage.totalTokens,
+    promptTokens: aiResult.usage.promptTokens,
+    completionTokens: aiResult.usage.completionTokens,
+    finishReason: aiResult.finishReason,
+    provider: aiResult.provider,
+    model: aiResult.model,
+    mode: aiResult.mode,
+    status: aiResult.stopped ? 'stopped' : 'completed'
+  };
+}
 
-      aiResponse = response.data.choices[0]?.message?.content || 'No response from AI';
-      tokensUsed = response.data.usage?.total_tokens || 0;
-      mode = 'ai';
-      
-    } catch (apiError) {
-      console.error('DeepSeek API Error:', apiError.message);
-      aiResponse = generateMockResponse('general_chat', fullPrompt);
-      mode = 'error-fallback';
-    }
-  }
-  
+// Helper function to map a provider result onto the API response
+function toResponseFields(aiResult) {
   return {
-    data: aiResponse,
-    tokensUsed,
-    mode
+    data: aiResult.text,
+    mode: aiResult.mode,
+    tokens: aiResult.usage.totalTokens,
+    usage: aiResult.usage,
+    finishReason: aiResult.finishReason,
+    provider: aiResult.provider,
+    model: aiResult.model
   };
 }
 
+// Helper function to save a generation and update the user's API usage
+// Returns the saved document, or null if the database is unavailable
+async function saveGeneration(reqUser, fields) {
+  try {
+    // Anonymous requests share one account, so their output isn't kept
+    if (reqUser.anonymous) return null;
+
+    const userId = reqUser.userId;
+    const generation = new Generation({ userId, ...fields });
+    const savedGeneration = await generation.save();
+    console.log(`✅ Generation saved to database (${fields.mode} mode)`);
+
+    // Update user's API usage
+    try {
+      const user = await User.findById(userId);
+      if (user) {
+        await user.incrementApiUsage(fields.tokensUsed);
+      }
+    } catch (userError) {
+      console.log('Could not update user API usage:', userError.message);
+    }
+
+    return savedGeneration;
+  } catch (dbError) {
+    console.error('Failed to save generation to database:', dbError.message);
+    // Continue even if save fails
+    return null;
+  }
+}
+
 // Helper function to generate Codeforces prompt
 function generateCodeforcesPrompt(handle, userData, analysis) {
   const userRating = userData.rating || 0;
@@ -574,33 +1123,27 @@ function generateCodeforcesFallback(handle, userData, analysis) {
 }
 
 // Get user's generation history
-router.get('/history', verifyToken, async (req, res) => {
+router.get('/history', allowApiKey('history:read'), verifyToken, async (req, res) => {
   try {
-    const { limit = 20, skip = 0, promptType } = req.query;
-    
-    // Build query
-    const query = {};
-    
-    // For demo users, show all demo generations
-    if (req.user.userId && req.user.userId.startsWith('demo')) {
-      query.userId = '507f1f77bcf86cd799439011'; // Demo user ID
-    } else {
-      query.userId = req.user.userId;
-    }
-    
-    if (promptType && promptType !== 'all') {
-      query.promptType = promptType;
+    const { limit = 20, skip = 0 } = req.query;
+    const { query, q, error } = buildHistoryQuery(req.user, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
     }
     
-    // Get generations
-    const generations = await Generation.find(query)
-      .sort({ createdAt: -1 })
+    // Get generations, best matches first when searching
+    const generations = await Generation.find(query, q ? { score: { $meta: 'textScore' } } : {})
+      .sort(q ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 })
       .skip(parseInt(skip))
       .limit(parseInt(limit))
       .select('-__v');
     
     // Get total count
     const total = await Generation.countDocuments(query);
+    const terms = q ? getSearchTerms(q) : [];
     
     // Format response
     const formattedGenerations = generations.map(gen => ({
@@ -610,10 +1153,23 @@ router.get('/history', verifyToken, async (req, res) => {
       aiResponse: gen.aiResponse,
       tokensUsed: gen.tokensUsed,
       mode: gen.mode,
+      status: gen.status,
+      provider: gen.provider,
+      templateVersion: gen.templateVersion,
+      model: gen.model,
+      finishReason: gen.finishReason,
+      feedback: formatFeedback(gen.feedback),
       createdAt: gen.createdAt,
       promptName: gen.promptType.split('_').map(word => 
         word.charAt(0).toUpperCase() + word.slice(1)
-      ).join(' ')
+      ).join(' '),
+      ...(q && {
+        score: gen.get('score'),
+        snippets: {
+          userInput: buildSnippet(gen.userInput, terms),
+          aiResponse: buildSnippet(gen.aiResponse, terms)
+        }
+      })
     }));
     
     res.json({
@@ -634,20 +1190,66 @@ router.get('/history', verifyToken, async (req, res) => {
   }
 });
 
+// Export filtered history as a file (format: markdown, json, html or pdf)
+router.get('/history/export', allowApiKey('history:read'), verifyToken, async (req, res) => {
+  try {
+    const format = resolveFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const { query, q, error } = buildHistoryQuery(req.user, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const generations = await Generation.find(query, q ? { score: { $meta: 'textScore' } } : {})
+      .sort(q ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 })
+      .limit(MAX_EXPORT_GENERATIONS)
+      .select('-__v');
+
+    const description = ['q', 'promptType', 'mode', 'from', 'to']
+      .filter(key => req.query[key] && req.query[key] !== 'all')
+      .map(key => `${key}=${req.query[key]}`)
+      .join(', ');
+
+    const file = await renderExport(buildGenerationsExport(generations, { description }), format);
+
+    console.log(`📤 Exported ${generations.length} generations as ${format}`);
+    res.attachment(file.filename);
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+    
+  } catch (error) {
+    console.error('Error exporting history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export generation history'
+    });
+  }
+});
+
 // Get specific generation by ID
-router.get('/history/:id', verifyToken, async (req, res) => {
+router.get('/history/:id', allowApiKey('history:read'), verifyToken, async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation not found or access denied'
+      });
+    }
+
     const query = {
-      _id: req.params.id
+      _id: req.params.id,
+      userId: req.user.userId
     };
     
-    // Check user access
-    if (req.user.userId && req.user.userId.startsWith('demo')) {
-      query.userId = '507f1f77bcf86cd799439011'; // Demo user ID
-    } else {
-      query.userId = req.user.userId;
-    }
-    
     const generation = await Generation.findOne(query).select('-__v');
     
     if (!generation) {
@@ -663,9 +1265,19 @@ router.get('/history/:id', verifyToken, async (req, res) => {
         id: generation._id,
         promptType: generation.promptType,
         userInput: generation.userInput,
+        variables: generation.variables,
+        templateId: generation.templateId,
+        templateVersion: generation.templateVersion,
         aiResponse: generation.aiResponse,
         tokensUsed: generation.tokensUsed,
+        promptTokens: generation.promptTokens,
+        completionTokens: generation.completionTokens,
         mode: generation.mode,
+        status: generation.status,
+        provider: generation.provider,
+        model: generation.model,
+        finishReason: generation.finishReason,
+        feedback: formatFeedback(generation.feedback),
         createdAt: generation.createdAt,
         promptName: generation.promptType.split('_').map(word => 
           word.charAt(0).toUpperCase() + word.slice(1)
@@ -682,13 +1294,199 @@ router.get('/history/:id', verifyToken, async (req, res) => {
   }
 });
 
+// Rate a generation: { rating: 'up' | 'down', category?, comment? }
+router.put('/history/:id/feedback', verifyToken, async (req, res) => {
+  try {
+    const { rating, category, comment } = req.body;
+
+    if (!['up', 'down'].includes(rating)) {
+      return res.status(400).json({
+        success: false,
+        error: 'rating must be up or down'
+      });
+    }
+
+    if (category && !FEEDBACK_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        error: `category must be one of: ${FEEDBACK_CATEGORIES.join(', ')}`
+      });
+    }
+
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'comment must be a string'
+      });
+    }
+
+    const generation = mongoose.isValidObjectId(req.params.id)
+      ? await Generation.findOne({ _id: req.params.id, userId: req.user.userId })
+      : null;
+
+    if (!generation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation not found or access denied'
+      });
+    }
+
+    generation.feedback = {
+      rating,
+      category: category || undefined,
+      comment: comment || undefined,
+      updatedAt: new Date()
+    };
+    await generation.save();
+
+    console.log(`${rating === 'up' ? '👍' : '👎'} Feedback on ${generation.promptType} v${generation.templateVersion || '-'}`);
+
+    res.json({
+      success: true,
+      feedback: formatFeedback(generation.feedback)
+    });
+    
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save feedback'
+    });
+  }
+});
+
+// Remove the user's rating of a generation
+router.delete('/history/:id/feedback', verifyToken, async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id)
+      ? await Generation.updateOne(
+        { _id: req.params.id, userId: req.user.userId },
+        { $unset: { feedback: 1 } }
+      )
+      : { matchedCount: 0 };
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      feedback: null
+    });
+    
+  } catch (error) {
+    console.error('Error removing feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove feedback'
+    });
+  }
+});
+
+// Feedback across all users, per prompt type and template version (admin only)
+// Optional filters: promptType, from, to (generation dates)
+router.get('/feedback/report', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const range = parseDateRange(req.query.from, req.query.to);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error
+      });
+    }
+
+    const match = {};
+    if (range.createdAt) {
+      match.createdAt = range.createdAt;
+    }
+    if (req.query.promptType) {
+      match.promptType = String(req.query.promptType);
+    }
+
+    const groups = await Generation.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            promptType: '$promptType',
+            templateVersion: '$templateVersion',
+            rating: '$feedback.rating',
+            category: '$feedback.category'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    // One row per template version; unrated generations only add to the total
+    const rows = new Map();
+    groups.forEach(({ _id, count }) => {
+      const templateVersion = _id.templateVersion ?? null;
+      const key = `${_id.promptType}:${templateVersion}`;
+      if (!rows.has(key)) {
+        rows.set(key, { promptType: _id.promptType, templateVersion, generations: 0, up: 0, down: 0, categories: {} });
+      }
+
+      const row = rows.get(key);
+      row.generations += count;
+      if (_id.rating) {
+        row[_id.rating] += count;
+      }
+      if (_id.category) {
+        row.categories[_id.category] = (row.categories[_id.category] || 0) + count;
+      }
+    });
+
+    const report = [...rows.values()]
+      .map(row => {
+        const rated = row.up + row.down;
+        return { ...row, rated, approval: rated > 0 ? Math.round((row.up / rated) * 100) : null };
+      })
+      .sort((a, b) => a.promptType.localeCompare(b.promptType) || (b.templateVersion || 0) - (a.templateVersion || 0));
+
+    const recentComments = await Generation.find({ ...match, 'feedback.comment': { $nin: [null, ''] } })
+      .sort({ 'feedback.updatedAt': -1 })
+      .limit(20)
+      .select('promptType templateVersion feedback');
+
+    res.json({
+      success: true,
+      report,
+      categories: FEEDBACK_CATEGORIES,
+      recentComments: recentComments.map(gen => ({
+        generationId: gen._id,
+        promptType: gen.promptType,
+        templateVersion: gen.templateVersion,
+        ...formatFeedback(gen.feedback)
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Error building feedback report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build feedback report'
+    });
+  }
+});
+
 // Get generation statistics
-router.get('/stats', verifyToken, async (req, res) => {
+router.get('/stats', allowApiKey('stats:read'), verifyToken, async (req, res) => {
   try {
-    // For demo users
-    const userId = req.user.userId && req.user.userId.startsWith('demo') 
-      ? '507f1f77bcf86cd799439011' 
-      : req.user.userId;
+    // Aggregation pipelines are not cast by Mongoose, so match on an ObjectId
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
     
     // Get total counts
     const totalGenerations = await Generation.countDocuments({ userId });
@@ -738,22 +1536,4 @@ router.get('/stats', verifyToken, async (req, res) => {
   }
 });
 
-// Generate mock responses for testing
-function generateMockResponse(promptType, userInput) {
-  const timestamp = new Date().toLocaleString();
-  const responses = {
-    general_chat: `**Response to:** "${userInput.substring(0, 100)}${userInput.length > 100 ? '...' : ''}"\n\nI understand you're asking about this topic. As your AI assistant, I would provide a detailed response here including:\n\n1. **Key information** related to your query\n2. **Actionable steps** you can take\n3. **Additional resources** for further learning\n4. **Practical examples** when applicable\n\n*This is a mock response generated at ${timestamp}. Connect a real AI API for actual responses.*`,
-    
-    business_plan: `**Business Plan Analysis**\n\n**Idea:** "${userInput.substring(0, 150)}${userInput.length > 150 ? '...' : ''}"\n\n### Executive Summary\nA comprehensive business plan would include:\n\n### 1. Market Analysis\n- Target market size and demographics\n- Competitor analysis\n- Market trends and opportunities\n\n### 2. Business Model\n- Revenue streams\n- Pricing strategy\n- Cost structure\n\n### 3. Marketing Strategy\n- Customer acquisition channels\n- Brand positioning\n- Marketing budget\n\n### 4. Financial Projections\n- 3-year revenue forecast\n- Profit and loss statements\n- Cash flow projections\n\n### 5. Implementation Timeline\n- Key milestones and deadlines\n- Resource allocation\n- Risk assessment\n\n*Mock business plan template - Add your specific details*\n\n*Generated: ${timestamp}*`,
-    
-    code_review: `**Code Review Report**\n\n**Code Sample:** \`${userInput.substring(0, 80)}${userInput.length > 80 ? '...' : ''}\`\n\n### Code Quality Assessment:\n✅ **Readability** - Code structure and naming conventions\n✅ **Performance** - Algorithm efficiency and optimization\n✅ **Security** - Input validation and vulnerability prevention\n✅ **Maintainability** - Modularity and documentation\n✅ **Error Handling** - Graceful failure management\n\n### Recommendations:\n1. Add comprehensive error handling\n2. Implement input validation and sanitization\n3. Write unit tests for critical functions\n4. Add inline documentation for complex logic\n5. Consider edge cases and boundary conditions\n6. Optimize database queries if applicable\n7. Implement proper logging\n\n### Security Checklist:\n- SQL injection prevention\n- XSS protection\n- CSRF tokens\n- Authentication/authorization\n- Data encryption\n\n*This is a mock code review. Actual review would analyze your specific code.*\n\n*Review date: ${timestamp}*`,
-    
-    content_strategy: `**Content Strategy Framework**\n\n**Focus:** "${userInput.substring(0, 100)}${userInput.length > 100 ? '...' : ''}"\n\n### Content Pillars:\n1. **Educational** - Tutorials, guides, how-tos\n2. **Inspirational** - Success stories, case studies\n3. **Promotional** - Product features, offers\n4. **Engagement** - Questions, polls, discussions\n\n### Platform Strategy:\n- **Blog**: Long-form articles (1500+ words)\n- **Social Media**: Visual content and quick tips\n- **Email**: Newsletter with exclusive content\n- **Video**: Tutorials and demonstrations\n- **Podcast**: Industry discussions and interviews\n\n### Content Calendar Template:\n**Month Overview:**\n- Week 1: Educational content\n- Week 2: Industry news/trends\n- Week 3: Product/case studies\n- Week 4: Community engagement\n\n### Performance Metrics:\n- Engagement rate\n- Conversion rate\n- Audience growth\n- Content reach\n- Time on page\n\n*Content strategy framework - Customize based on your specific goals*\n\n*Created: ${timestamp}*`,
-    
-    codeforces_analysis: `**Codeforces Analysis Report**\n\n**User Data:** "${userInput.substring(0, 200)}${userInput.length > 200 ? '...' : ''}"\n\n### Performance Analysis:\nBased on the provided Codeforces data, here are your key metrics:\n\n### Strengths:\n1. Strong problem-solving in algorithmic categories\n2. Good consistency in submission patterns\n3. Effective use of programming languages\n\n### Areas for Improvement:\n1. Need to practice more dynamic programming problems\n2. Could improve contest performance strategies\n3. Should focus on time management during competitions\n\n### Recommended Study Plan:\n1. **Daily Practice**: Solve 3-5 problems from Codeforces\n2. **Weekly Goals**: Complete one virtual contest\n3. **Monthly Target**: Increase rating by 100 points\n\n### Specific Problem Recommendations:\n1. Problem 4A - Watermelon (800 rating)\n2. Problem 71A - Way Too Long Words (800 rating)\n3. Problem 118A - String Task (900 rating)\n4. Problem 158A - Next Round (900 rating)\n5. Problem 50A - Domino piling (1000 rating)\n\n*This is a mock analysis. Connect to real AI API for personalized recommendations.*\n\n*Generated: ${timestamp}*`
-  };
-  
-  return responses[promptType] || responses.general_chat;
-}
-
 module.exports = router;  
\ No newline at end of file
@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ShareLink = require('../models/ShareLink');
+const Conversation = require('../models/Conversation');
+const Generation = require('../models/Generation');
+const { verifyToken } = require('../middleware/auth');
+const { getActivePath } = require('../utils/conversationTree');
+
+const MAX_EXPIRY_DAYS = 365;
+
+const RESOURCE_MODELS = {
+  conversation: Conversation,
+  generation: Generation
+};
+
+// Helper function to turn a template key into a display name
+function getPromptName(promptType) {
+  return (promptType || '').split('_').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ');
+}
+
+// Helper function to build the public, read-only view of a shared resource
+// Only content is included: no owner details, token usage or template variables
+function toSharedView(resourceType, resource) {
+  if (resourceType === 'conversation') {
+    const detail = resource.toDetail();
+    return {
+      type: 'conversation',
+      title: detail.title,
+      promptType: detail.promptType,
+      createdAt: detail.createdAt,
+      updatedAt: detail.lastUpdated,
+      messages: getActivePath(detail.messages, detail.currentLeafId).map(message => ({
+        id: message.id,
+        role: message.role,
+        content: message.content,
+        promptType: message.promptType,
+        timestamp: message.timestamp
+      }))
+    };
+  }
+
+  return {
+    type: 'generation',
+    title: getPromptName(resource.promptType),
+    promptType: resource.promptType,
+    promptName: getPromptName(resource.promptType),
+    userInput: resource.userInput,
+    aiResponse: resource.aiResponse,
+    mode: resource.mode,
+    createdAt: resource.createdAt
+  };
+}
+
+// List the user's share links, optionally for one resource
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { resourceType, resourceId } = req.query;
+    const query = { userId: req.user.userId };
+
+    if (resourceType) {
+      query.resourceType = String(resourceType);
+    }
+    if (resourceId) {
+      if (!mongoose.isValidObjectId(resourceId)) {
+        return res.json({ success: true, shares: [] });
+      }
+      query.resourceId = resourceId;
+    }
+
+    const shares = await ShareLink.find(query).sort({ createdAt: -1 }).limit(100);
+
+    res.json({
+      success: true,
+      shares: shares.map(share => share.toOwnerView())
+    });
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch share links'
+    });
+  }
+});
+
+// Create a share link for one of the user's conversations or generations
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { resourceType, resourceId, expiresInDays } = req.body;
+    const Model = RESOURCE_MODELS[resourceType];
+
+    if (!Model) {
+      return res.status(400).json({
+        success: false,
+        error: 'resourceType must be conversation or generation'
+      });
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          success: false,
+          error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const userId = req.user.userId;
+    const resource = mongoose.isValidObjectId(resourceId)
+      ? await Model.findOne({ _id: resourceId, userId })
+      : null;
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        error: `${resourceType === 'conversation' ? 'Conversation' : 'Generation'} not found`
+      });
+    }
+
+    const share = await ShareLink.create({
+      userId,
+      resourceType,
+      resourceId: resource._id,
+      title: resourceType === 'conversation' ? resource.title : getPromptName(resource.promptType),
+      expiresAt
+    });
+
+    console.log(`🔗 Share link created for ${resourceType} ${resource._id}`);
+
+    res.status(201).json({
+      success: true,
+      share: share.toOwnerView()
+    });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create share link'
+    });
+  }
+});
+
+// Revoke a share link; the token stops working immediately
+router.delete('/:token', verifyToken, async (req, res) => {
+  try {
+    const share = await ShareLink.findOne({
+      token: req.params.token,
+      userId: req.user.userId
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      await share.save();
+    }
+
+    res.json({
+      success: true,
+      share: share.toOwnerView()
+    });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke share link'
+    });
+  }
+});
+
+// Public read-only view of a shared resource (no authentication)
+router.get('/:token', async (req, res) => {
+  try {
+    res.set('X-Robots-Tag', 'noindex');
+
+    const share = await ShareLink.findOne({ token: req.params.token });
+    const status = share ? share.getStatus() : 'missing';
+
+    if (status === 'expired') {
+      return res.status(410).json({
+        success: false,
+        error: 'This share link has expired'
+      });
+    }
+
+    const resource = status === 'active'
+      ? await RESOURCE_MODELS[share.resourceType].findOne({ _id: share.resourceId, userId: share.userId })
+      : null;
+
+    // Revoked links and deleted resources look the same as unknown tokens
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    await ShareLink.updateOne({ _id: share._id }, { $inc: { views: 1 } });
+
+    res.json({
+      success: true,
+      shared: toSharedView(share.resourceType, resource),
+      expiresAt: share.expiresAt
+    });
+  } catch (error) {
+    console.error('Error fetching shared resource:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load shared content'
+    });
+  }
+});
+
+module.exports = router;
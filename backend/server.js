@@ -1,6 +1,7 @@
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
+const PromptTemplate = require('./models/PromptTemplate');
 require('dotenv').config();
 
 const app = express();
@@ -9,8 +10,8 @@ const app = express();
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization'], // Make sure Authorization is allowed
-  exposedHeaders: ['Authorization'] // Expose Authorization header
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'], // Make sure Authorization is allowed
+  exposedHeaders: ['Authorization', 'Content-Disposition'] // Expose Authorization header and export filenames
 }));
 app.use(express.json());
 
@@ -23,6 +24,17 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deepseek-
     console.log('✅ MongoDB connected successfully');
     console.log(`📁 Database: ${mongoose.connection.name}`);
     console.log(`🎯 Host: ${mongoose.connection.host}`);
+
+    // Make sure the built-in prompt templates exist
+    return PromptTemplate.seedDefaults()
+      .then((inserted) => {
+        if (inserted > 0) {
+          console.log(`📝 Seeded ${inserted} built-in prompt templates`);
+        }
+      })
+      .catch((err) => {
+        console.error('❌ Failed to seed prompt templates:', err.message);
+      });
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err.message);
@@ -80,12 +92,47 @@ app.get('/api', (req, res) => {
       auth: {
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
+        loginTwoFactor: 'POST /api/auth/login/2fa',
+        twoFactor: 'GET /api/auth/2fa',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        verifyEmail: 'POST /api/auth/verify-email',
+        sessions: 'GET /api/auth/sessions',
         test: 'GET /api/auth/test'
       },
       deepseek: {
         generate: 'POST /api/deepseek/generate',
+        generateStream: 'POST /api/deepseek/generate/stream',
         prompts: 'GET /api/deepseek/prompts',
+        managePrompts: 'POST/PUT/DELETE /api/deepseek/prompts/:id (admin)',
+        promptVersions: 'GET /api/deepseek/prompts/:id/versions',
+        exportHistory: 'GET /api/deepseek/history/export?format=',
+        feedback: 'PUT/DELETE /api/deepseek/history/:id/feedback',
+        feedbackReport: 'GET /api/deepseek/feedback/report (admin)',
         test: 'GET /api/deepseek/test'
+      },
+      conversations: {
+        list: 'GET /api/conversations',
+        get: 'GET /api/conversations/:id',
+        create: 'POST /api/conversations',
+        update: 'PUT /api/conversations/:id',
+        delete: 'DELETE /api/conversations/:id',
+        import: 'POST /api/conversations/import',
+        export: 'GET /api/conversations/:id/export?format='
+      },
+      share: {
+        list: 'GET /api/share',
+        create: 'POST /api/share',
+        revoke: 'DELETE /api/share/:token',
+        view: 'GET /api/share/:token (public)'
+      },
+      apiKeys: {
+        list: 'GET /api/keys',
+        create: 'POST /api/keys',
+        revoke: 'DELETE /api/keys/:id',
+        usage: 'Authorization: Bearer cfai_... or X-API-Key on /generate, /codeforces, /history, /stats'
       }
     }
   });
@@ -124,17 +171,24 @@ app.get('/api/test-db', async (req, res) => {
 // Import routes
 const authRoutes = require('./routes/auth');
 const deepseekRoutes = require('./routes/deepseek');
+const conversationRoutes = require('./routes/conversations');
+const shareRoutes = require('./routes/share');
+const apiKeyRoutes = require('./routes/apiKeys');
+const { isAnonymousModeEnabled } = require('./middleware/auth');
 
 // Use routes
 app.use('/api/auth', authRoutes);
 app.use('/api/deepseek', deepseekRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/keys', apiKeyRoutes);
 
 // 404 handler
 app.use('/api/*', (req, res) => {
   res.status(404).json({ 
     error: 'API endpoint not found',
     requested: req.originalUrl,
-    available_endpoints: ['/api/health', '/api/auth/*', '/api/deepseek/*']
+    available_endpoints: ['/api/health', '/api/auth/*', '/api/deepseek/*', '/api/conversations/*', '/api/share/*', '/api/keys/*']
   });
 });
 
@@ -159,6 +213,7 @@ const PORT = process.env.PORT || 5001;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`👤 Anonymous mode: ${isAnonymousModeEnabled() ? 'on' : 'off'}`);
   console.log(`🌐 CORS Origin: ${process.env.CORS_ORIGIN || 'http://localhost:3000'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🔗 Home page: http://localhost:${PORT}/`);
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+// Keys look like "cfai_<random>", so they are easy to tell from JWTs and to spot in leaked code
+const KEY_PREFIX = 'cfai_';
+// lastUsedAt is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// New random key; returns the key (shown once), its hash and a display prefix
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    key,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6)
+  };
+}
+
+// The API key sent with a request, from "Authorization: Bearer cfai_..." or X-API-Key
+function getRequestApiKey(req) {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) return String(headerKey);
+
+  const token = (req.headers['authorization'] || '').split(' ')[1];
+  return token && token.startsWith(KEY_PREFIX) ? token : null;
+}
+
+// Check a key against the route's allowApiKey setting
+// Returns { user } with the same shape as a decoded access token, or { status, error }
+async function authenticateApiKey(key, allowed, ip) {
+  if (!allowed) {
+    return { status: 403, error: 'API keys cannot be used for this endpoint' };
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null });
+  if (!apiKey) {
+    return { status: 401, error: 'Invalid API key', code: 'INVALID_API_KEY' };
+  }
+
+  if (allowed.scope && !apiKey.scopes.includes(allowed.scope)) {
+    return { status: 403, error: `API key is missing the ${allowed.scope} scope` };
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user || !user.isActive) {
+    return { status: 403, error: 'Account is not available' };
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_USED_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+      .catch(error => console.error('Failed to update API key usage:', error.message));
+  }
+
+  return {
+    user: {
+      userId: String(user._id),
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      apiKeyId: apiKey._id,
+      scopes: apiKey.scopes
+    }
+  };
+}
+
+module.exports = {
+  generateApiKey,
+  getRequestApiKey,
+  authenticateApiKey
+};
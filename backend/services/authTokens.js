@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const TOKEN_LIFETIMES = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 24 * 60 * 60 * 1000 // 1 day
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token of type for user; earlier unused ones of the same type stop working
+// Returns the raw token to put in the email link
+async function issueToken(user, type) {
+  await AuthToken.deleteMany({ userId: user._id, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    userId: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_LIFETIMES[type])
+  });
+  return token;
+}
+
+// Mark a token as used; returns the owner's userId, or null when the token is
+// unknown, expired or already used
+async function consumeToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const record = await AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  return record ? record.userId : null;
+}
+
+module.exports = {
+  issueToken,
+  consumeToken
+};
@@ -0,0 +1,344 @@
+// Render conversations and generation history to downloadable files
+//
+// Both sources are first turned into one document shape:
+//   { title, exportedAt, details: [[label, value]], entries: [{ heading, details, sections: [{ label, content }] }] }
+// which is then written out as Markdown, JSON, standalone HTML or PDF.
+// Message content is Markdown produced by the model, so it is treated as untrusted.
+
+const fs = require('fs');
+const path = require('path');
+const { Marked } = require('marked');
+const PDFDocument = require('pdfkit');
+const fontkit = require('fontkit');
+const { getActivePath } = require('../utils/conversationTree');
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const FORMAT_ALIASES = { md: 'markdown' };
+
+// Normalize a ?format= value; returns null for unsupported formats
+function resolveFormat(format = 'markdown') {
+  const name = FORMAT_ALIASES[format] || format;
+  return EXPORT_FORMATS[name] ? name : null;
+}
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '');
+
+// Drop details without a value
+const compactDetails = (details) => details.filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+// The branch the user is looking at, as an export document
+function buildConversationExport(conversation) {
+  const detail = conversation.toDetail();
+  const messages = getActivePath(detail.messages, detail.currentLeafId);
+
+  return {
+    title: detail.title,
+    exportedAt: new Date(),
+    details: compactDetails([
+      ['Created', formatDate(detail.createdAt)],
+      ['Last updated', formatDate(detail.lastUpdated)],
+      ['Messages', messages.length],
+      ['Prompt type', detail.promptType]
+    ]),
+    entries: messages.map(message => ({
+      heading: message.role === 'user' ? 'You' : 'Assistant',
+      details: compactDetails([
+        ['Prompt type', message.promptType],
+        ['Mode', message.mode],
+        ['Tokens', message.tokensUsed],
+        ['Stopped', message.stopped ? 'yes' : undefined],
+        ['Time', formatDate(message.timestamp)]
+      ]),
+      sections: [{ content: message.content }]
+    }))
+  };
+}
+
+// A list of Generation records (already filtered by the caller)
+function buildGenerationsExport(generations, { description } = {}) {
+  const totalTokens = generations.reduce((sum, generation) => sum + (generation.tokensUsed || 0), 0);
+
+  return {
+    title: 'Generation history',
+    exportedAt: new Date(),
+    details: compactDetails([
+      ['Filters', description],
+      ['Generations', generations.length],
+      ['Total tokens', totalTokens]
+    ]),
+    entries: generations.map(generation => ({
+      heading: `${generation.promptType} · ${formatDate(generation.createdAt)}`,
+      details: compactDetails([
+        ['Prompt type', generation.promptType],
+        ['Template version', generation.templateVersion],
+        ['Mode', generation.mode],
+        ['Provider', generation.provider],
+        ['Model', generation.model],
+        ['Tokens', generation.tokensUsed],
+        ['Status', generation.status]
+      ]),
+      sections: [
+        { label: 'Input', content: generation.userInput },
+        { label: 'Response', content: generation.aiResponse || '' }
+      ]
+    }))
+  };
+}
+
+function toMarkdown(doc) {
+  const lines = [`# ${doc.title}`, '', `_Exported ${formatDate(doc.exportedAt)}_`, ''];
+  doc.details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+
+  doc.entries.forEach(entry => {
+    lines.push('', '---', '', `## ${entry.heading}`, '');
+    if (entry.details.length > 0) {
+      lines.push(`_${entry.details.map(([label, value]) => `${label}: ${value}`).join(' · ')}_`, '');
+    }
+    entry.sections.forEach(section => {
+      if (section.label) lines.push(`**${section.label}**`, '');
+      lines.push(section.content, '');
+    });
+  });
+
+  return lines.join('\n').trim() + '\n';
+}
+
+function toJSON(doc) {
+  return JSON.stringify(doc, null, 2);
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Markdown to HTML with raw HTML escaped, images dropped and only web/mail links kept
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      return /^(https?:|mailto:)/i.test(href)
+        ? `<a href="${escapeHtml(href)}" rel="noopener noreferrer">${text}</a>`
+        : text;
+    },
+    image({ text }) {
+      return escapeHtml(text);
+    }
+  }
+});
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 820px; margin: 40px auto; padding: 0 16px; line-height: 1.6; color: #1f2328; }
+  h1 { border-bottom: 2px solid #10a37f; padding-bottom: 8px; }
+  .meta { color: #656d76; font-size: 13px; }
+  .entry { border-top: 1px solid #d0d7de; margin-top: 24px; padding-top: 8px; }
+  .label { font-weight: 600; margin-top: 12px; }
+  pre { background: #f6f8fa; padding: 12px; border-radius: 6px; overflow-x: auto; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #d0d7de; padding: 4px 10px; }
+  blockquote { margin: 0; padding-left: 12px; border-left: 3px solid #d0d7de; color: #656d76; }
+`;
+
+function toHTML(doc) {
+  const details = (items) => items.map(([label, value]) => `${escapeHtml(label)}: ${escapeHtml(value)}`).join(' · ');
+
+  const entries = doc.entries.map(entry => `
+  <section class="entry">
+    <h2>${escapeHtml(entry.heading)}</h2>
+    ${entry.details.length > 0 ? `<p class="meta">${details(entry.details)}</p>` : ''}
+    ${entry.sections.map(section => `
+    ${section.label ? `<div class="label">${escapeHtml(section.label)}</div>` : ''}
+    ${markdown.parse(section.content || '')}`).join('')}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(doc.title)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(doc.title)}</h1>
+  <p class="meta">Exported ${escapeHtml(formatDate(doc.exportedAt))}${doc.details.length > 0 ? ` · ${details(doc.details)}` : ''}</p>
+  ${entries}
+</body>
+</html>
+`;
+}
+
+// Plain text of inline Markdown tokens (PDF output has no inline styling)
+const inlineText = (tokens = []) => tokens
+  .map(token => (token.tokens ? inlineText(token.tokens) : token.text || ''))
+  .join('');
+
+// Write block-level Markdown tokens into a PDF document
+function writeMarkdownToPdf(pdf, content) {
+  markdown.lexer(content || '').forEach(token => {
+    switch (token.type) {
+      case 'heading':
+        pdf.moveDown(0.5).font('Bold').fontSize(Math.max(11, 18 - token.depth * 2)).text(inlineText(token.tokens));
+        pdf.font('Body').fontSize(11);
+        break;
+      case 'paragraph':
+      case 'text':
+        pdf.text(inlineText(token.tokens) || token.text).moveDown(0.5);
+        break;
+      case 'list':
+        token.items.forEach((item, index) => {
+          const bullet = token.ordered ? `${(token.start || 1) + index}.` : '•';
+          pdf.text(`${bullet} ${inlineText(item.tokens)}`, { indent: 12 });
+        });
+        pdf.moveDown(0.5);
+        break;
+      case 'code':
+        pdf.font('Mono').fontSize(9).text(token.text, { indent: 12 }).moveDown(0.5);
+        pdf.font('Body').fontSize(11);
+        break;
+      case 'blockquote':
+        pdf.fillColor('#656d76').text(token.text, { indent: 12 }).fillColor('black').moveDown(0.5);
+        break;
+      case 'table':
+        [token.header, ...token.rows].forEach(row => {
+          pdf.text(row.map(cell => inlineText(cell.tokens)).join('  |  '));
+        });
+        pdf.moveDown(0.5);
+        break;
+      case 'hr':
+        pdf.moveDown(0.5);
+        break;
+      case 'space':
+        break;
+      default:
+        if (token.text) pdf.text(token.text).moveDown(0.5);
+    }
+  });
+}
+
+// PDFs embed DejaVu: the built-in PDF fonts only cover Western European text.
+// DejaVu adds Greek, Cyrillic and most symbols; anything it still can't draw
+// (CJK, emoji) is written as U+FFFD instead of being silently mangled.
+const PDF_FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const PDF_FONT_FILES = {
+  Body: 'DejaVuSans.ttf',
+  Bold: 'DejaVuSans-Bold.ttf',
+  Mono: 'DejaVuSansMono.ttf'
+};
+const REPLACEMENT_CHARACTER = '\uFFFD';
+// Joiners and variation selectors only modify the character before them
+const IGNORED_CODE_POINTS = /^[\u200C\u200D\uFE00-\uFE0F]$/u;
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// Font files and glyph lookups, loaded on the first PDF export
+let pdfFonts = null;
+const drawableCodePoints = new Map();
+
+function loadPdfFonts() {
+  if (!pdfFonts) {
+    pdfFonts = Object.entries(PDF_FONT_FILES).map(([name, file]) => {
+      const data = fs.readFileSync(path.join(PDF_FONT_DIR, file));
+      return { name, data, font: fontkit.create(data) };
+    });
+  }
+  return pdfFonts;
+}
+
+// A character is drawable when every PDF font has a glyph for it
+function isDrawable(char) {
+  if (!drawableCodePoints.has(char)) {
+    const codePoint = char.codePointAt(0);
+    drawableCodePoints.set(char, codePoint < 0x80 || loadPdfFonts().every(({ font }) => font.hasGlyphForCodePoint(codePoint)));
+  }
+  return drawableCodePoints.get(char);
+}
+
+// Replace each user-perceived character the fonts can't draw (a whole emoji
+// sequence, for example) with a single replacement character
+function toDrawableText(text) {
+  const value = String(text ?? '');
+  if (/^[\x00-\x7F]*$/.test(value)) return value;
+
+  let output = '';
+  for (const { segment } of graphemes.segment(value)) {
+    const drawable = [...segment].every(char => IGNORED_CODE_POINTS.test(char) || isDrawable(char));
+    output += drawable ? segment : REPLACEMENT_CHARACTER;
+  }
+  return output;
+}
+
+function toPDF(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ margin: 50, info: { Title: doc.title } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+    loadPdfFonts().forEach(({ name, data }) => pdf.registerFont(name, data));
+
+    const detailsText = (details) => toDrawableText(details.map(([label, value]) => `${label}: ${value}`).join(' · '));
+
+    pdf.font('Bold').fontSize(20).text(toDrawableText(doc.title));
+    pdf.font('Body').fontSize(9).fillColor('#656d76')
+      .text([`Exported ${formatDate(doc.exportedAt)}`, detailsText(doc.details)].filter(Boolean).join(' · '))
+      .fillColor('black');
+
+    doc.entries.forEach(entry => {
+      pdf.moveDown(1).font('Bold').fontSize(14).text(toDrawableText(entry.heading));
+      if (entry.details.length > 0) {
+        pdf.font('Body').fontSize(9).fillColor('#656d76')
+          .text(detailsText(entry.details))
+          .fillColor('black');
+      }
+      pdf.font('Body').fontSize(11).moveDown(0.5);
+
+      entry.sections.forEach(section => {
+        if (section.label) {
+          pdf.font('Bold').text(toDrawableText(section.label)).font('Body');
+        }
+        writeMarkdownToPdf(pdf, toDrawableText(section.content));
+      });
+    });
+
+    pdf.end();
+  });
+}
+
+const RENDERERS = {
+  markdown: toMarkdown,
+  json: toJSON,
+  html: toHTML,
+  pdf: toPDF
+};
+
+// Render doc as format; returns { body, contentType, filename }
+async function renderExport(doc, format) {
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const slug = doc.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'export';
+
+  return {
+    body: await RENDERERS[format](doc),
+    contentType,
+    filename: `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveFormat,
+  buildConversationExport,
+  buildGenerationsExport,
+  renderExport
+};
@@ -0,0 +1,142 @@
+// LLM provider layer
+// Every provider returns { text, usage, finishReason, model, provider } so
+// Generation records look the same whichever backend produced them.
+const deepseekProvider = require('./providers/deepseek');
+const openaiProvider = require('./providers/openai');
+const ollamaProvider = require('./providers/ollama');
+const mockProvider = require('./providers/mock');
+const { estimateTokens } = require('../../utils/contextWindow');
+
+const PROVIDERS = {
+  deepseek: deepseekProvider,
+  openai: openaiProvider,
+  ollama: ollamaProvider,
+  mock: mockProvider
+};
+
+// LLM_PROVIDER picks the default; otherwise DeepSeek when a key is set, else mock
+function getDefaultProviderName() {
+  const configured = process.env.LLM_PROVIDER;
+  if (configured && PROVIDERS[configured]) return configured;
+  return deepseekProvider.isConfigured() ? 'deepseek' : 'mock';
+}
+
+// Validate a per-request provider name
+// Returns an error message, or null when the name is usable
+function validateProviderName(name) {
+  if (name === undefined || name === null || name === '') return null;
+
+  if (!PROVIDERS[name]) {
+    return 'Invalid provider. Available providers: ' + Object.keys(PROVIDERS).join(', ');
+  }
+  if (!PROVIDERS[name].isConfigured()) {
+    return `Provider "${name}" is not configured on this server`;
+  }
+  return null;
+}
+
+function getProvider(name) {
+  return PROVIDERS[name || getDefaultProviderName()];
+}
+
+// Public description of every provider, used by GET /api/deepseek/providers
+function listProviders() {
+  const defaultName = getDefaultProviderName();
+
+  return Object.values(PROVIDERS).map(provider => ({
+    id: provider.name,
+    name: provider.label,
+    model: provider.getModel(),
+    configured: provider.isConfigured(),
+    default: provider.name === defaultName
+  }));
+}
+
+function withMode(result, mode) {
+  return { ...result, mode };
+}
+
+// Result for a stream the client cancelled, keeping the text that already arrived
+function stoppedResult(provider, text) {
+  const completionTokens = estimateTokens(text);
+
+  return {
+    text,
+    usage: { promptTokens: 0, completionTokens, totalTokens: completionTokens },
+    finishReason: 'stopped',
+    model: provider.getModel(),
+    provider: provider.name,
+    stopped: true
+  };
+}
+
+// Complete a chat, falling back to the mock provider when the backend fails
+// Pass options.signal to cancel the upstream request; that rejects instead of falling back
+async function complete(messages, { provider: providerName, ...options } = {}) {
+  const provider = getProvider(providerName);
+
+  if (!provider.isConfigured()) {
+    console.log(`⚠️ Provider "${provider.name}" is not configured, using mock response`);
+    return withMode(await mockProvider.complete(messages, options), 'mock');
+  }
+
+  try {
+    console.log(`Calling ${provider.label} (${provider.getModel()})...`);
+    const result = await provider.complete(messages, options);
+    return withMode(result, provider === mockProvider ? 'mock' : 'ai');
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+
+    console.error(`${provider.label} API Error:`, error.message);
+    return withMode(await mockProvider.complete(messages, options), 'error-fallback');
+  }
+}
+
+// Stream a chat; onDelta receives each text fragment as it arrives
+// Aborting options.signal ends the stream early with a result marked stopped
+async function stream(messages, { provider: providerName, onDelta = () => {}, ...options } = {}) {
+  const provider = getProvider(providerName);
+
+  let partialText = '';
+  const trackingDelta = (text) => {
+    partialText += text;
+    onDelta(text);
+  };
+
+  const streamFrom = async (target, mode) => {
+    try {
+      return withMode(await target.stream(messages, { ...options, onDelta: trackingDelta }), mode);
+    } catch (error) {
+      if (!options.signal?.aborted) throw error;
+
+      console.log(`⏹️ ${target.label} stream stopped by the client after ${partialText.length} characters`);
+      return withMode(stoppedResult(target, partialText), mode);
+    }
+  };
+
+  if (!provider.isConfigured()) {
+    console.log(`⚠️ Provider "${provider.name}" is not configured, streaming mock response`);
+    return streamFrom(mockProvider, 'mock');
+  }
+
+  try {
+    console.log(`Streaming from ${provider.label} (${provider.getModel()})...`);
+    return await streamFrom(provider, provider === mockProvider ? 'mock' : 'ai');
+  } catch (error) {
+    console.error(`${provider.label} streaming error:`, error.message);
+
+    // Nothing was sent yet, so the client can still get a complete fallback
+    if (!partialText) {
+      return streamFrom(mockProvider, 'error-fallback');
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  complete,
+  stream,
+  listProviders,
+  validateProviderName,
+  getDefaultProviderName
+};
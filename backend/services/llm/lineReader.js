@@ -0,0 +1,29 @@
+const { StringDecoder } = require('string_decoder');
+
+// Split a Node readable stream into lines, calling onLine for each complete one
+// Aborting signal destroys the stream, which makes this reject
+async function forEachLine(stream, onLine, { signal } = {}) {
+  let buffer = '';
+  // Keeps a multibyte character that is split across chunks until it is complete
+  const decoder = new StringDecoder('utf8');
+
+  if (signal) {
+    if (signal.aborted) stream.destroy(new Error('Stream aborted'));
+    signal.addEventListener('abort', () => stream.destroy(new Error('Stream aborted')), { once: true });
+  }
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) onLine(line.trim());
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+module.exports = { forEachLine };
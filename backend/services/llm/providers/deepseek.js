@@ -0,0 +1,16 @@
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+// DeepSeek hosted API
+module.exports = createOpenAICompatibleProvider({
+  name: 'deepseek',
+  label: 'DeepSeek',
+  getConfig: () => {
+    const apiKey = process.env.DEEPSEEK_API_KEY;
+    return {
+      baseURL: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com/v1',
+      apiKey: apiKey === 'your-deepseek-api-key-here' ? undefined : apiKey,
+      model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+      requiresApiKey: true
+    };
+  }
+});
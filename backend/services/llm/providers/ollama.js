@@ -0,0 +1,90 @@
+const axios = require('axios');
+const { forEachLine } = require('../lineReader');
+
+// Local Ollama server using its native /api/chat endpoint
+const getConfig = () => ({
+  baseURL: (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, ''),
+  model: process.env.OLLAMA_MODEL || 'llama3.1'
+});
+
+const buildBody = (messages, { temperature = 0.7, maxTokens = 2000 } = {}, stream) => ({
+  model: getConfig().model,
+  messages,
+  stream,
+  options: {
+    temperature,
+    num_predict: maxTokens
+  }
+});
+
+// Ollama reports token counts on the final message
+const normalizeResult = (data, text) => {
+  const promptTokens = data.prompt_eval_count || 0;
+  const completionTokens = data.eval_count || 0;
+
+  return {
+    text: text || 'No response from AI',
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    },
+    finishReason: data.done_reason || 'stop',
+    model: data.model || getConfig().model,
+    provider: 'ollama'
+  };
+};
+
+const ollamaProvider = {
+  name: 'ollama',
+  label: 'Ollama (local)',
+
+  // There is no API key to check, so setting OLLAMA_BASE_URL is what enables it
+  isConfigured() {
+    return Boolean(process.env.OLLAMA_BASE_URL);
+  },
+
+  getModel() {
+    return getConfig().model;
+  },
+
+  async complete(messages, options = {}) {
+    const response = await axios.post(
+      `${getConfig().baseURL}/api/chat`,
+      buildBody(messages, options, false),
+      { timeout: 120000, signal: options.signal }
+    );
+
+    return normalizeResult(response.data, response.data.message?.content);
+  },
+
+  // Streams newline-delimited JSON objects; the last one has done: true
+  async stream(messages, { onDelta = () => {}, signal, ...options } = {}) {
+    const response = await axios.post(
+      `${getConfig().baseURL}/api/chat`,
+      buildBody(messages, options, true),
+      { responseType: 'stream', timeout: 120000, signal }
+    );
+
+    let text = '';
+    let finalChunk = {};
+
+    await forEachLine(response.data, (line) => {
+      try {
+        const parsed = JSON.parse(line);
+        const delta = parsed.message?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        if (parsed.done) finalChunk = parsed;
+      } catch (parseError) {
+        console.log('Skipping malformed stream chunk:', line.substring(0, 50));
+      }
+    }, { signal });
+
+    return normalizeResult(finalChunk, text);
+  }
+};
+
+module.exports = ollamaProvider;
@@ -0,0 +1,13 @@
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+// Any OpenAI-compatible endpoint, e.g. OpenAI itself or a llama.cpp/vLLM server
+module.exports = createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  getConfig: () => ({
+    baseURL: process.env.OPENAI_BASE_URL,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    requiresApiKey: false // Local servers usually run without a key
+  })
+});
@@ -0,0 +1,113 @@
+const axios = require('axios');
+const { forEachLine } = require('../lineReader');
+
+// Provider for any server speaking the OpenAI chat completions API
+// (DeepSeek, OpenAI, llama.cpp server, vLLM, LM Studio, ...)
+function createOpenAICompatibleProvider({ name, label, getConfig }) {
+  const buildRequest = (messages, { temperature = 0.7, maxTokens = 2000 } = {}, stream = false) => {
+    const { baseURL, apiKey, model } = getConfig();
+
+    return {
+      url: `${baseURL.replace(/\/$/, '')}/chat/completions`,
+      body: {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+      },
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      }
+    };
+  };
+
+  const normalizeUsage = (usage = {}) => ({
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  });
+
+  return {
+    name,
+    label,
+
+    isConfigured() {
+      const { baseURL, apiKey, requiresApiKey } = getConfig();
+      if (!baseURL) return false;
+      return !requiresApiKey || Boolean(apiKey);
+    },
+
+    getModel() {
+      return getConfig().model;
+    },
+
+    async complete(messages, options = {}) {
+      const { url, body, headers } = buildRequest(messages, options);
+
+      const response = await axios.post(url, body, {
+        headers,
+        timeout: 60000,
+        signal: options.signal
+      });
+
+      const choice = response.data.choices?.[0];
+      return {
+        text: choice?.message?.content || 'No response from AI',
+        usage: normalizeUsage(response.data.usage),
+        finishReason: choice?.finish_reason || 'stop',
+        model: response.data.model || body.model,
+        provider: name
+      };
+    },
+
+    // Servers send SSE lines: "data: {...}" and finally "data: [DONE]"
+    async stream(messages, { onDelta = () => {}, signal, ...options } = {}) {
+      const { url, body, headers } = buildRequest(messages, options, true);
+
+      const response = await axios.post(url, body, {
+        headers,
+        responseType: 'stream',
+        timeout: 60000,
+        signal
+      });
+
+      let text = '';
+      let usage = {};
+      let finishReason = 'stop';
+      let model = body.model;
+
+      await forEachLine(response.data, (line) => {
+        if (!line.startsWith('data:')) return;
+
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        try {
+          const parsed = JSON.parse(payload);
+          const choice = parsed.choices?.[0];
+          if (choice?.delta?.content) {
+            text += choice.delta.content;
+            onDelta(choice.delta.content);
+          }
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+          if (parsed.usage) usage = parsed.usage;
+          if (parsed.model) model = parsed.model;
+        } catch (parseError) {
+          console.log('Skipping malformed stream chunk:', payload.substring(0, 50));
+        }
+      }, { signal });
+
+      return {
+        text: text || 'No response from AI',
+        usage: normalizeUsage(usage),
+        finishReason,
+        model,
+        provider: name
+      };
+    }
+  };
+}
+
+module.exports = createOpenAICompatibleProvider;
@@ -0,0 +1,34 @@
+// Mail transport layer
+// A transport is { name, send({ from, to, subject, text }) }; add one to
+// TRANSPORTS (e.g. SMTP or an email API) and select it with MAIL_TRANSPORT.
+const consoleTransport = require('./transports/console');
+const fileTransport = require('./transports/file');
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+const DEFAULT_FROM = 'Codeforces AI <no-reply@localhost>';
+
+function getTransport() {
+  const configured = process.env.MAIL_TRANSPORT;
+  if (configured && !TRANSPORTS[configured]) {
+    console.log(`⚠️ Unknown MAIL_TRANSPORT "${configured}", using console`);
+  }
+  return TRANSPORTS[configured] || consoleTransport;
+}
+
+// Send a plain-text message through the configured transport
+async function sendMail({ to, subject, text }) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text
+  });
+}
+
+module.exports = {
+  sendMail
+};
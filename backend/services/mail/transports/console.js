@@ -0,0 +1,17 @@
+// Console transport - prints messages to the server log (development default)
+
+const consoleTransport = {
+  name: 'console',
+
+  async send(message) {
+    console.log('📧 ────────────────────────────────────────');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('📧 ────────────────────────────────────────');
+    return { transport: 'console' };
+  }
+};
+
+module.exports = consoleTransport;
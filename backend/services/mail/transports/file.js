@@ -0,0 +1,37 @@
+// File transport - writes each message to MAIL_DIR as a .eml file, so
+// development and test runs can open or read the links that were sent
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const getMailDir = () => path.resolve(process.env.MAIL_DIR || 'temp/mail');
+
+// Header values come from our own templates, but strip newlines anyway
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const fileTransport = {
+  name: 'file',
+
+  async send(message) {
+    const dir = getMailDir();
+    await fs.mkdir(dir, { recursive: true });
+
+    const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+    const file = path.join(dir, filename);
+
+    await fs.writeFile(file, [
+      `From: ${headerValue(message.from)}`,
+      `To: ${headerValue(message.to)}`,
+      `Subject: ${headerValue(message.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n'));
+
+    console.log(`📧 Mail to ${message.to} written to ${file}`);
+    return { transport: 'file', file };
+  }
+};
+
+module.exports = fileTransport;
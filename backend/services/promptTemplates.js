@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const PromptTemplate = require('../models/PromptTemplate');
+const PromptTemplateVersion = require('../models/PromptTemplateVersion');
+const DEFAULT_PROMPTS = require('../data/defaultPrompts');
+
+// The app keeps working without MongoDB, so lookups fall back to the built-ins
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+// Unsaved documents so callers get the same shape either way
+const getFallbackTemplates = () => DEFAULT_PROMPTS.map(prompt => (
+  new PromptTemplate({ ...prompt, isBuiltIn: true, enabled: true })
+));
+
+// Global templates plus, when ownerId is given, that user's private ones
+const visibleTo = (ownerId) => (
+  ownerId ? { $or: [{ owner: null }, { owner: ownerId }] } : { owner: null }
+);
+
+async function listTemplates({ includeDisabled = false, ownerId } = {}) {
+  if (!isDatabaseReady()) {
+    return getFallbackTemplates();
+  }
+
+  const query = visibleTo(ownerId);
+  if (!includeDisabled) query.enabled = true;
+  return PromptTemplate.find(query).sort({ _id: 1 });
+}
+
+async function findTemplate(key, { includeDisabled = false, ownerId } = {}) {
+  if (!isDatabaseReady()) {
+    return getFallbackTemplates().find(template => template.key === key) || null;
+  }
+
+  const query = { key, ...visibleTo(ownerId) };
+  if (!includeDisabled) query.enabled = true;
+  return PromptTemplate.findOne(query);
+}
+
+// Fields whose changes produce a new template version
+const VERSIONED_FIELDS = ['name', 'systemPrompt', 'category', 'variables'];
+const VARIABLE_FIELDS = ['name', 'label', 'type', 'required', 'options', 'default', 'placeholder'];
+
+// Comparable form of a template's versioned content (document or plain object)
+function versionedContent(template) {
+  const plain = typeof template.toObject === 'function' ? template.toObject() : template;
+  return JSON.stringify(VERSIONED_FIELDS.map(field => {
+    if (field !== 'variables') return plain[field] ?? null;
+    return (plain.variables || []).map(variable => VARIABLE_FIELDS.map(key => {
+      const value = variable[key];
+      return Array.isArray(value) && value.length === 0 ? null : value ?? null;
+    }));
+  }));
+}
+
+// Error for a save that lost the race for the next version number
+function versionConflict() {
+  const error = new Error('This prompt was changed by someone else, reload it and try again');
+  error.name = 'VersionConflictError';
+  return error;
+}
+
+// Move the stored template from version to version + 1, unless another save got there first
+async function claimNextVersion(template, version) {
+  const result = await PromptTemplate.updateOne(
+    { _id: template._id, version },
+    { $inc: { version: 1 } }
+  );
+  if (result.modifiedCount !== 1) throw versionConflict();
+  template.version = version + 1;
+}
+
+// Give back a claimed version number whose save failed, so no gap is left behind
+async function releaseVersion(template, version) {
+  await PromptTemplateVersion.deleteOne({ template: template._id, version: version + 1 });
+  await PromptTemplate.updateOne(
+    { _id: template._id, version: version + 1 },
+    { $inc: { version: -1 } }
+  );
+  template.version = version;
+}
+
+// Store the template's content as the next version: the snapshot is written
+// before the template so a version number is never used without one
+async function saveNewVersion(template, snapshotOptions) {
+  await template.validate();
+  const version = template.version;
+  await claimNextVersion(template, version);
+  try {
+    await PromptTemplateVersion.snapshot(template, snapshotOptions);
+    await template.save();
+  } catch (error) {
+    await releaseVersion(template, version);
+    throw error;
+  }
+}
+
+// Save a template, recording a new immutable version when its content changed
+// Throws a VersionConflictError when a concurrent save created a version first
+async function saveTemplate(template, { changedBy } = {}) {
+  if (template.isNew) {
+    await template.save();
+    await PromptTemplateVersion.snapshot(template, { changedBy });
+    return template;
+  }
+
+  // isModified() is true for any assigned field, even with the same value
+  const stored = await PromptTemplate.findById(template._id).lean();
+  if (!stored || versionedContent(stored) === versionedContent(template)) {
+    await template.save();
+    return template;
+  }
+
+  await saveNewVersion(template, { changedBy });
+  return template;
+}
+
+// Restore an older version's content as a new version
+// Returns null when the version does not exist
+async function rollbackTemplate(template, version, { changedBy } = {}) {
+  const target = await PromptTemplateVersion.findOne({ template: template._id, version });
+  if (!target) return null;
+
+  template.set({
+    name: target.name,
+    systemPrompt: target.systemPrompt,
+    category: target.category,
+    variables: target.variables
+  });
+
+  await saveNewVersion(template, { changedBy, restoredFrom: version });
+  return template;
+}
+
+module.exports = {
+  listTemplates,
+  findTemplate,
+  saveTemplate,
+  rollbackTemplate
+};
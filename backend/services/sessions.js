@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { needsTwoFactorSetup } = require('./twoFactor');
+
+// Access tokens are short-lived JWTs checked without a database lookup, so a
+// revoked session keeps API access until its current access token expires.
+// Refresh tokens ("<sessionId>.<secret>") are rotated on every use.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Another tab may still send the token that was just rotated; don't treat that as theft
+const ROTATION_GRACE_MS = 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+function generateAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      sessionId
+    },
+    process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Give the session a new refresh secret; returns the token to hand to the client
+function rotateSecret(session) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashSecret(secret);
+  session.rotatedAt = new Date();
+  return `${session._id}.${secret}`;
+}
+
+const requestDetails = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+  ip: req.ip
+});
+
+// Start a session for a user who just signed in
+async function createSession(user, req) {
+  const session = new Session({
+    userId: user._id,
+    expiresAt: refreshExpiry(),
+    ...requestDetails(req)
+  });
+  const refreshToken = rotateSecret(session);
+  session.previousTokenHash = undefined;
+  await session.save();
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken,
+    session
+  };
+}
+
+// Look up the session a refresh token belongs to
+// Returns { session, current } where current is false for the token it replaced
+async function findSessionByToken(refreshToken) {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return {};
+
+  const session = await Session.findById(sessionId);
+  if (!session) return {};
+
+  const hash = hashSecret(secret);
+  if (hash === session.refreshTokenHash) return { session, current: true };
+  if (hash === session.previousTokenHash) return { session, current: false };
+  return {};
+}
+
+// Exchange a refresh token for a new access token and refresh token
+// Returns { token, refreshToken, session } or { error, code }
+async function refreshSession(refreshToken, req) {
+  const { session, current } = await findSessionByToken(refreshToken);
+
+  if (!session || !session.isActive()) {
+    return { error: 'Session expired, please sign in again', code: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  if (!current) {
+    if (Date.now() - session.rotatedAt < ROTATION_GRACE_MS) {
+      return { error: 'Refresh token was already used', code: 'REFRESH_TOKEN_ROTATED' };
+    }
+
+    // An old token turning up later means it was copied; end the session
+    session.revokedAt = new Date();
+    await session.save();
+    console.log(`🚨 Refresh token reuse detected, session ${session._id} revoked`);
+    return { error: 'Session expired, please sign in again', code: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    return { error: 'Account is not available', code: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  // Once admins require two-factor, accounts without it must sign in again and set it up
+  if (await needsTwoFactorSetup(user)) {
+    return { error: 'Two-factor authentication is required, please sign in again', code: 'TWO_FACTOR_REQUIRED' };
+  }
+
+  const nextRefreshToken = rotateSecret(session);
+  Object.assign(session, requestDetails(req), { lastUsedAt: new Date(), expiresAt: refreshExpiry() });
+  await session.save();
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken: nextRefreshToken,
+    session
+  };
+}
+
+// Revoke the session behind a refresh token; returns false if there was none
+async function revokeSessionByToken(refreshToken) {
+  const { session } = await findSessionByToken(refreshToken);
+  if (!session) return false;
+
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    await session.save();
+  }
+  return true;
+}
+
+// Short label such as "Chrome on Windows" for the sessions list
+function describeDevice(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent ? userAgent.slice(0, 40) : 'Unknown device';
+  return [browser?.[0] || 'Unknown browser', os && `on ${os[0]}`].filter(Boolean).join(' ');
+}
+
+// Shape shown in the user's sessions list
+function toSessionView(session, currentSessionId) {
+  return {
+    id: session._id,
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+  };
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSessionByToken,
+  toSessionView
+};
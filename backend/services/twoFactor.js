@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const AppSettings = require('../models/AppSettings');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Codeforces AI';
+const RECOVERY_CODE_COUNT = 10;
+// Time allowed between the password step and the code step of a login
+const CHALLENGE_TTL = '5m';
+
+// Fields of user.twoFactor that are left out of queries by default
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Challenge tokens use their own key so one can never pass as an access token
+const challengeSecret = () => `${process.env.JWT_SECRET || 'your-secret-key-change-in-production'}:two-factor`;
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Ten codes like "4f9a2-c81d0"; only their hashes are stored
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+// Issued after the password check when a second step is needed
+function issueChallenge(user) {
+  return jwt.sign({ userId: user._id, purpose: 'two_factor' }, challengeSecret(), { expiresIn: CHALLENGE_TTL });
+}
+
+// Returns the userId the challenge was issued for, or null
+function verifyChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(String(challengeToken || ''), challengeSecret());
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+}
+
+// Whether the user has to set up two-factor authentication before signing in
+async function needsTwoFactorSetup(user) {
+  if (user.twoFactor?.enabled) return false;
+  const settings = await AppSettings.getGlobal();
+  return settings.requireTwoFactor;
+}
+
+// Start setup with a new secret; returns what the authenticator app needs
+async function startSetup(user) {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+  const otpauthUrl = buildOtpauthUrl({ secret, account: user.email, issuer: ISSUER });
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+// Finish setup with a code from the authenticator app
+// Returns { recoveryCodes } or { error }
+async function confirmSetup(userId, code) {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user?.twoFactor?.pendingSecret) {
+    return { error: 'Start two-factor setup first' };
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    return { error: 'Invalid authentication code' };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return { recoveryCodes };
+}
+
+// Check an authenticator code or a recovery code; each works only once
+// Returns { method, remainingRecoveryCodes } or null
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user?.twoFactor?.enabled) return null;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount !== 1) return null;
+    return { method: 'recovery_code', remainingRecoveryCodes: user.twoFactor.recoveryCodes.length - 1 };
+  }
+
+  const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+  const step = verifyCode(user.twoFactor.secret, code, lastUsedStep);
+  if (step === null) return null;
+
+  // Conditional update so two requests can't both spend the same code
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  if (result.modifiedCount !== 1) return null;
+  return { method: 'code', remainingRecoveryCodes: user.twoFactor.recoveryCodes.length };
+}
+
+// Replace all recovery codes; returns the new ones
+async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) }
+  );
+  return recoveryCodes;
+}
+
+async function disableTwoFactor(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      'twoFactor.enabled': false,
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    }
+  );
+}
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  issueChallenge,
+  verifyChallenge,
+  needsTwoFactorSetup,
+  startSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
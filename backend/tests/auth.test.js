@@ -0,0 +1,163 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { stubModule, quietConsole, objectId, createUserStub } = require('./stubs');
+
+quietConsole();
+
+// Read when middleware/auth.js loads
+process.env.JWT_SECRET = 'test-secret';
+process.env.ANONYMOUS_REQUESTS_PER_HOUR = '2';
+
+const keys = [];
+stubModule('models/ApiKey', {
+  findOne: async ({ keyHash, revokedAt }) => (
+    keys.find(key => key.keyHash === keyHash && (key.revokedAt ?? null) === revokedAt) || null
+  ),
+  updateOne: async () => ({ modifiedCount: 1 })
+});
+const User = stubModule('models/User', createUserStub());
+
+const { generateApiKey } = require('../services/apiKeys');
+const { verifyToken, requireRole, allowApiKey, allowAnonymous, anonymousQuota } = require('../middleware/auth');
+
+const sendUser = (req, res) => res.json({ user: req.user });
+
+const app = express();
+app.get('/private', verifyToken, sendUser);
+app.get('/keys', allowApiKey(), verifyToken, sendUser);
+app.get('/generate-keys', allowApiKey('generate'), allowAnonymous, verifyToken, sendUser);
+app.get('/anonymous', allowAnonymous, verifyToken, sendUser);
+app.post('/generate', allowApiKey('generate'), allowAnonymous, verifyToken, anonymousQuota, sendUser);
+app.get('/admin', verifyToken, requireRole('admin'), sendUser);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  process.env.ANONYMOUS_MODE = 'true';
+});
+
+const call = async (path, headers = {}, method = 'GET') => {
+  const response = await fetch(`${baseUrl}${path}`, { method, headers });
+  return { status: response.status, body: await response.json() };
+};
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+const accessToken = (fields = {}, options = {}) => jwt.sign(
+  { userId: objectId(), email: 'jwt@example.com', name: 'JWT User', role: 'user', ...fields },
+  'test-secret',
+  { expiresIn: '15m', ...options }
+);
+
+const owner = User.add({ email: 'owner@example.com' });
+const addKey = (scopes) => {
+  const { key, keyHash } = generateApiKey();
+  keys.push({ _id: objectId(), userId: owner._id, keyHash, scopes, revokedAt: null });
+  return key;
+};
+
+describe('verifyToken', () => {
+  test('accepts a valid access token', async () => {
+    const { status, body } = await call('/private', bearer(accessToken({ email: 'a@example.com' })));
+    assert.equal(status, 200);
+    assert.equal(body.user.email, 'a@example.com');
+  });
+
+  test('distinguishes missing, expired and invalid tokens', async () => {
+    assert.equal((await call('/private')).body.code, 'TOKEN_REQUIRED');
+    assert.equal((await call('/private', bearer(accessToken({}, { expiresIn: -10 })))).body.code, 'TOKEN_EXPIRED');
+    assert.equal((await call('/private', bearer('not-a-jwt'))).body.code, 'INVALID_TOKEN');
+
+    const forged = jwt.sign({ userId: objectId(), role: 'admin' }, 'other-secret');
+    const { status, body } = await call('/private', bearer(forged));
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_TOKEN');
+  });
+
+  test('an API key takes precedence over an access token', async () => {
+    const key = addKey(['generate']);
+    const { status, body } = await call('/keys', { 'x-api-key': key, ...bearer(accessToken()) });
+
+    assert.equal(status, 200);
+    assert.equal(body.user.userId, owner._id);
+    assert.ok(body.user.apiKeyId);
+  });
+
+  test('API keys are refused on routes that do not allow them, even with an access token', async () => {
+    const key = addKey(['generate']);
+
+    const { status } = await call('/private', { 'x-api-key': key, ...bearer(accessToken()) });
+    assert.equal(status, 403);
+    assert.equal((await call('/private', bearer(key))).status, 403);
+  });
+
+  test('API keys need the route scope', async () => {
+    assert.equal((await call('/generate-keys', bearer(addKey(['history:read'])))).status, 403);
+    assert.equal((await call('/generate-keys', bearer(addKey(['generate'])))).status, 200);
+  });
+
+  test('a bad API key never falls back to anonymous access', async () => {
+    const { status, body } = await call('/generate-keys', { 'x-api-key': 'cfai_unknown' });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_API_KEY');
+  });
+
+  test('a bad access token never falls back to anonymous access', async () => {
+    assert.equal((await call('/anonymous', bearer('not-a-jwt'))).body.code, 'INVALID_TOKEN');
+    assert.equal((await call('/anonymous', bearer(accessToken({}, { expiresIn: -10 })))).body.code, 'TOKEN_EXPIRED');
+  });
+
+  test('a signed-in user keeps their identity on anonymous routes', async () => {
+    const { body } = await call('/anonymous', bearer(accessToken({ email: 'b@example.com' })));
+    assert.equal(body.user.email, 'b@example.com');
+    assert.equal(body.user.anonymous, undefined);
+  });
+
+  test('requests without credentials are anonymous only where allowed and enabled', async () => {
+    const { status, body } = await call('/anonymous');
+    assert.equal(status, 200);
+    assert.equal(body.user.role, 'anonymous');
+    assert.equal(body.user.anonymous, true);
+
+    assert.equal((await call('/private')).status, 401);
+    assert.equal((await call('/keys')).status, 401);
+
+    process.env.ANONYMOUS_MODE = 'false';
+    assert.equal((await call('/anonymous')).body.code, 'TOKEN_REQUIRED');
+  });
+});
+
+describe('anonymousQuota', () => {
+  test('limits anonymous requests but not signed-in users', async () => {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await call('/generate', {}, 'POST')).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 429]);
+
+    // Other anonymous routes don't count against the quota
+    assert.equal((await call('/anonymous')).status, 200);
+
+    const token = accessToken();
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await call('/generate', bearer(token), 'POST')).status, 200);
+    }
+  });
+});
+
+describe('requireRole', () => {
+  test('checks the role from the token', async () => {
+    assert.equal((await call('/admin', bearer(accessToken()))).body.code, 'FORBIDDEN');
+    assert.equal((await call('/admin', bearer(accessToken({ role: 'admin' })))).status, 200);
+  });
+});
@@ -0,0 +1,145 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { stubModule, quietConsole, objectId, createUserStub, createAppSettingsStub } = require('./stubs');
+
+quietConsole();
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Session model fake: findById hands back the stored document, like a fresh query would
+const sessions = new Map();
+class Session {
+  constructor(fields) {
+    Object.assign(this, { _id: objectId(), createdAt: new Date() }, fields);
+  }
+
+  isActive() {
+    return !this.revokedAt && this.expiresAt > new Date();
+  }
+
+  async save() {
+    sessions.set(String(this._id), this);
+    return this;
+  }
+
+  static async findById(id) {
+    return sessions.get(String(id)) || null;
+  }
+}
+
+stubModule('models/Session', Session);
+const User = stubModule('models/User', createUserStub());
+const AppSettings = stubModule('models/AppSettings', createAppSettingsStub());
+
+const { createSession, refreshSession, revokeSessionByToken } = require('../services/sessions');
+
+const req = { headers: { 'user-agent': 'node-test' }, ip: '127.0.0.1' };
+let user;
+
+beforeEach(() => {
+  sessions.clear();
+  AppSettings.settings.requireTwoFactor = false;
+  user = User.add({ email: 'user@example.com' });
+});
+
+// Pretend the last rotation happened this long ago
+const ageRotation = (refreshToken, ms) => {
+  const session = sessions.get(refreshToken.split('.')[0]);
+  session.rotatedAt = new Date(Date.now() - ms);
+};
+
+test('createSession issues an access token for the session', async () => {
+  const { token, refreshToken, session } = await createSession(user, req);
+
+  const decoded = jwt.verify(token, 'test-secret');
+  assert.equal(decoded.userId, user._id);
+  assert.equal(decoded.sessionId, session._id);
+  assert.match(refreshToken, new RegExp(`^${session._id}\\.`));
+  assert.equal(session.previousTokenHash, undefined);
+});
+
+test('refreshing rotates the refresh token', async () => {
+  const first = await createSession(user, req);
+  const second = await refreshSession(first.refreshToken, req);
+
+  assert.ok(second.token);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(second.session._id, first.session._id);
+
+  const third = await refreshSession(second.refreshToken, req);
+  assert.ok(third.token);
+});
+
+test('the replaced token is refused without ending the session during the grace window', async () => {
+  const first = await createSession(user, req);
+  const second = await refreshSession(first.refreshToken, req);
+
+  const replay = await refreshSession(first.refreshToken, req);
+  assert.equal(replay.code, 'REFRESH_TOKEN_ROTATED');
+  assert.equal(sessions.get(String(first.session._id)).revokedAt, undefined);
+
+  const next = await refreshSession(second.refreshToken, req);
+  assert.ok(next.token);
+});
+
+test('the replaced token after the grace window revokes the session', async () => {
+  const first = await createSession(user, req);
+  const second = await refreshSession(first.refreshToken, req);
+  ageRotation(second.refreshToken, 2 * 60 * 1000);
+
+  const reuse = await refreshSession(first.refreshToken, req);
+  assert.equal(reuse.code, 'INVALID_REFRESH_TOKEN');
+  assert.ok(sessions.get(String(first.session._id)).revokedAt);
+
+  // The current token dies with the session
+  const current = await refreshSession(second.refreshToken, req);
+  assert.equal(current.code, 'INVALID_REFRESH_TOKEN');
+});
+
+test('tokens older than the previous one are rejected', async () => {
+  const first = await createSession(user, req);
+  const second = await refreshSession(first.refreshToken, req);
+  await refreshSession(second.refreshToken, req);
+
+  const result = await refreshSession(first.refreshToken, req);
+  assert.equal(result.code, 'INVALID_REFRESH_TOKEN');
+});
+
+test('malformed and unknown tokens are rejected', async () => {
+  const { session } = await createSession(user, req);
+
+  for (const token of [undefined, '', 'garbage', `${session._id}.wrong-secret`, `${objectId()}.secret`]) {
+    const result = await refreshSession(token, req);
+    assert.equal(result.code, 'INVALID_REFRESH_TOKEN', String(token));
+  }
+});
+
+test('revoked and expired sessions cannot be refreshed', async () => {
+  const revoked = await createSession(user, req);
+  assert.equal(await revokeSessionByToken(revoked.refreshToken), true);
+  assert.equal((await refreshSession(revoked.refreshToken, req)).code, 'INVALID_REFRESH_TOKEN');
+
+  const expired = await createSession(user, req);
+  expired.session.expiresAt = new Date(Date.now() - 1000);
+  assert.equal((await refreshSession(expired.refreshToken, req)).code, 'INVALID_REFRESH_TOKEN');
+});
+
+test('inactive accounts cannot refresh', async () => {
+  const { refreshToken } = await createSession(user, req);
+  user.isActive = false;
+
+  const result = await refreshSession(refreshToken, req);
+  assert.equal(result.code, 'INVALID_REFRESH_TOKEN');
+});
+
+test('a two-factor policy stops refreshes for accounts without it', async () => {
+  const { refreshToken } = await createSession(user, req);
+  AppSettings.settings.requireTwoFactor = true;
+
+  const result = await refreshSession(refreshToken, req);
+  assert.equal(result.code, 'TWO_FACTOR_REQUIRED');
+
+  user.twoFactor = { enabled: true };
+  assert.ok((await refreshSession(refreshToken, req)).token);
+});
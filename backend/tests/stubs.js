@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const path = require('path');
+const { mock } = require('node:test');
+
+// Tests run without MongoDB: models are replaced with in-memory fakes by putting
+// them in the require cache before the code under test loads them.
+// node --test runs every file in its own process, so stubs don't leak between files.
+
+// Replace a backend module (path relative to backend/) with exports
+function stubModule(relativePath, exports) {
+  const filename = require.resolve(path.join(__dirname, '..', relativePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+}
+
+// Random 24-character hex id, the shape of a Mongo ObjectId
+const objectId = () => crypto.randomBytes(12).toString('hex');
+
+// User model fake backed by a Map; documents are plain objects
+function createUserStub(users = new Map()) {
+  return {
+    users,
+    add(fields) {
+      const user = { _id: objectId(), name: 'Test User', role: 'user', isActive: true, ...fields };
+      users.set(user._id, user);
+      return user;
+    },
+    findById: async (id) => users.get(String(id)) || null
+  };
+}
+
+// AppSettings fake; set requireTwoFactor to change the policy
+function createAppSettingsStub() {
+  const settings = { requireTwoFactor: false };
+  return {
+    settings,
+    getGlobal: async () => settings
+  };
+}
+
+// Drop the services' console logging, which only clutters test output
+function quietConsole() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+}
+
+module.exports = {
+  stubModule,
+  quietConsole,
+  objectId,
+  createUserStub,
+  createAppSettingsStub
+};
@@ -0,0 +1,218 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { stubModule, quietConsole, objectId, createAppSettingsStub } = require('./stubs');
+
+quietConsole();
+
+process.env.JWT_SECRET = 'test-secret';
+
+// User model fake for the two-factor queries. findById().select() returns a copy,
+// so concurrent requests each work from their own read, as with MongoDB.
+// updateOne only understands the filters and updates services/twoFactor.js sends.
+const users = new Map();
+const copy = (value) => structuredClone(value);
+
+const matchesFilter = (user, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '_id') return String(condition) === user._id;
+  if (field === '$or') return condition.some(option => matchesFilter(user, option));
+  if (field === 'twoFactor.recoveryCodes') return (user.twoFactor.recoveryCodes || []).includes(condition);
+  if (field === 'twoFactor.lastUsedStep') {
+    const value = user.twoFactor.lastUsedStep;
+    return condition === null ? value == null : value < condition.$lt;
+  }
+  throw new Error(`Unexpected filter field ${field}`);
+});
+
+const User = {
+  findById: (id) => ({
+    select: async () => {
+      const stored = users.get(String(id));
+      if (!stored) return null;
+      const doc = copy(stored);
+      doc.save = async () => {
+        const { save, ...fields } = doc;
+        users.set(doc._id, copy(fields));
+      };
+      return doc;
+    }
+  }),
+
+  updateOne: async (filter, update) => {
+    const user = users.get(String(filter._id));
+    if (!user || !matchesFilter(user, filter)) return { modifiedCount: 0 };
+
+    Object.entries(update).forEach(([field, value]) => {
+      if (field === '$pull') {
+        const hash = value['twoFactor.recoveryCodes'];
+        user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(code => code !== hash);
+      } else if (field === '$unset') {
+        Object.keys(value).forEach(path => delete user.twoFactor[path.split('.')[1]]);
+      } else {
+        user.twoFactor[field.split('.')[1]] = value;
+      }
+    });
+    return { modifiedCount: 1 };
+  }
+};
+
+stubModule('models/User', User);
+const AppSettings = stubModule('models/AppSettings', createAppSettingsStub());
+
+const { generateSecret, generateCode, currentStep, verifyCode } = require('../services/totp');
+const {
+  issueChallenge,
+  verifyChallenge,
+  needsTwoFactorSetup,
+  startSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+
+describe('totp', () => {
+  test('matches the RFC 6238 SHA-1 test vector', () => {
+    // Secret "12345678901234567890"; the RFC lists 94287082 for T=59s (step 1)
+    assert.equal(generateCode('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1), '287082');
+  });
+
+  test('accepts the current and neighbouring steps only', () => {
+    const secret = generateSecret();
+    const now = currentStep();
+
+    assert.equal(verifyCode(secret, generateCode(secret, now)), now);
+    assert.equal(verifyCode(secret, generateCode(secret, now - 1)), now - 1);
+    assert.equal(verifyCode(secret, generateCode(secret, now + 1)), now + 1);
+    assert.equal(verifyCode(secret, generateCode(secret, now - 3)), null);
+    assert.equal(verifyCode(secret, '12345'), null);
+    assert.equal(verifyCode(secret, 'abcdef'), null);
+  });
+
+  test('rejects steps up to the last used one', () => {
+    const secret = generateSecret();
+    const now = currentStep();
+    const code = generateCode(secret, now);
+
+    assert.equal(verifyCode(secret, code, now), null);
+    assert.equal(verifyCode(secret, generateCode(secret, now - 1), now), null);
+    assert.equal(verifyCode(secret, generateCode(secret, now + 1), now), now + 1);
+  });
+});
+
+describe('two-factor login', () => {
+  let user;
+  let secret;
+  let recoveryCodes;
+
+  // Enable two-factor through the real setup flow
+  beforeEach(async () => {
+    users.clear();
+    AppSettings.settings.requireTwoFactor = false;
+    user = { _id: objectId(), email: 'user@example.com', twoFactor: { enabled: false } };
+    users.set(user._id, copy(user));
+
+    ({ secret } = await startSetup(user));
+    ({ recoveryCodes } = await confirmSetup(user._id, generateCode(secret, currentStep() - 1)));
+  });
+
+  test('setup stores the secret and hashed recovery codes', () => {
+    const stored = users.get(user._id).twoFactor;
+    assert.equal(stored.enabled, true);
+    assert.equal(stored.secret, secret);
+    assert.equal(stored.pendingSecret, undefined);
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(stored.recoveryCodes.length, 10);
+    recoveryCodes.forEach(code => assert.ok(!stored.recoveryCodes.includes(code)));
+  });
+
+  test('setup needs a valid code from the pending secret', async () => {
+    const other = { _id: objectId(), email: 'other@example.com', twoFactor: { enabled: false } };
+    users.set(other._id, copy(other));
+
+    assert.deepEqual(await confirmSetup(other._id, '123456'), { error: 'Start two-factor setup first' });
+    await startSetup(other);
+    assert.deepEqual(await confirmSetup(other._id, '000000'), { error: 'Invalid authentication code' });
+  });
+
+  test('an authenticator code works once', async () => {
+    const code = generateCode(secret, currentStep());
+
+    assert.deepEqual(await verifySecondFactor(user._id, { code }), { method: 'code', remainingRecoveryCodes: 10 });
+    assert.equal(await verifySecondFactor(user._id, { code }), null);
+  });
+
+  test('the code used during setup cannot sign in', async () => {
+    const code = generateCode(secret, currentStep() - 1);
+    assert.equal(await verifySecondFactor(user._id, { code }), null);
+  });
+
+  test('concurrent requests cannot both spend the same code', async () => {
+    const code = generateCode(secret, currentStep());
+    const results = await Promise.all([
+      verifySecondFactor(user._id, { code }),
+      verifySecondFactor(user._id, { code })
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+  });
+
+  test('a recovery code works once, in any case or spacing', async () => {
+    const [first, second] = recoveryCodes;
+
+    assert.deepEqual(
+      await verifySecondFactor(user._id, { recoveryCode: ` ${first.toUpperCase().replace('-', ' ')} ` }),
+      { method: 'recovery_code', remainingRecoveryCodes: 9 }
+    );
+    assert.equal(await verifySecondFactor(user._id, { recoveryCode: first }), null);
+    assert.deepEqual(
+      await verifySecondFactor(user._id, { recoveryCode: second }),
+      { method: 'recovery_code', remainingRecoveryCodes: 8 }
+    );
+  });
+
+  test('concurrent requests cannot both spend the same recovery code', async () => {
+    const results = await Promise.all([
+      verifySecondFactor(user._id, { recoveryCode: recoveryCodes[0] }),
+      verifySecondFactor(user._id, { recoveryCode: recoveryCodes[0] })
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+  });
+
+  test('regenerating recovery codes invalidates the old ones', async () => {
+    const fresh = await regenerateRecoveryCodes(user._id);
+
+    assert.equal(await verifySecondFactor(user._id, { recoveryCode: recoveryCodes[0] }), null);
+    assert.equal((await verifySecondFactor(user._id, { recoveryCode: fresh[0] })).method, 'recovery_code');
+  });
+
+  test('nothing is accepted once two-factor is disabled', async () => {
+    await disableTwoFactor(user._id);
+
+    assert.equal(await verifySecondFactor(user._id, { code: generateCode(secret, currentStep()) }), null);
+    assert.equal(await verifySecondFactor(user._id, { recoveryCode: recoveryCodes[0] }), null);
+  });
+
+  test('setup is only required by policy for accounts without two-factor', async () => {
+    assert.equal(await needsTwoFactorSetup({ twoFactor: { enabled: false } }), false);
+    AppSettings.settings.requireTwoFactor = true;
+    assert.equal(await needsTwoFactorSetup({ twoFactor: { enabled: false } }), true);
+    assert.equal(await needsTwoFactorSetup({ twoFactor: { enabled: true } }), false);
+  });
+});
+
+describe('login challenges', () => {
+  test('round-trip to the user id', () => {
+    const id = objectId();
+    assert.equal(verifyChallenge(issueChallenge({ _id: id })), id);
+  });
+
+  test('reject access tokens and garbage', () => {
+    const accessToken = jwt.sign({ userId: objectId(), purpose: 'two_factor' }, 'test-secret');
+
+    assert.equal(verifyChallenge(accessToken), null);
+    assert.equal(verifyChallenge('garbage'), null);
+    assert.equal(verifyChallenge(undefined), null);
+  });
+});
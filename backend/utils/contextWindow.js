@@ -0,0 +1,94 @@
+// Helpers for building the chat message list sent to the model
+// and keeping it inside the configured context window
+
+// Approximate tokens per message for role/formatting overhead
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Default prompt budget when CONTEXT_TOKEN_BUDGET is not set
+const DEFAULT_TOKEN_BUDGET = 6000;
+
+const ALLOWED_HISTORY_ROLES = ['user', 'assistant'];
+
+// Rough token estimate (~4 characters per token for English text)
+function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function getTokenBudget() {
+  const budget = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10);
+  return Number.isFinite(budget) && budget > 0 ? budget : DEFAULT_TOKEN_BUDGET;
+}
+
+// Validate a client-supplied history array
+// Returns an error message, or null when the history is usable
+function validateHistory(history) {
+  if (history === undefined || history === null) return null;
+
+  if (!Array.isArray(history)) {
+    return 'messages must be an array';
+  }
+
+  for (const message of history) {
+    if (!message || !ALLOWED_HISTORY_ROLES.includes(message.role)) {
+      return `Each message needs a role of ${ALLOWED_HISTORY_ROLES.join(' or ')}`;
+    }
+    if (typeof message.content !== 'string') {
+      return 'Each message needs string content';
+    }
+  }
+
+  return null;
+}
+
+// Drop the oldest history turns until the list fits the token budget.
+// The system prompt and the latest user message are always kept.
+function trimToTokenBudget(messages, tokenBudget = getTokenBudget()) {
+  const [system, ...rest] = messages;
+  const latest = rest.pop();
+
+  let used = estimateMessageTokens(system) + estimateMessageTokens(latest);
+  const kept = [];
+
+  for (let i = rest.length - 1; i >= 0; i--) {
+    const cost = estimateMessageTokens(rest[i]);
+    if (used + cost > tokenBudget) break;
+    kept.unshift(rest[i]);
+    used += cost;
+  }
+
+  // Never start the history with an orphaned assistant reply
+  while (kept.length > 0 && kept[0].role === 'assistant') {
+    used -= estimateMessageTokens(kept.shift());
+  }
+
+  return {
+    messages: [system, ...kept, latest],
+    estimatedTokens: used,
+    droppedMessages: rest.length - kept.length
+  };
+}
+
+// Build a system/user/assistant message list for the chat completion API
+function buildChatMessages({ systemPrompt, history = [], userInput, tokenBudget }) {
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...history
+      .filter(message => message.content && message.content.trim())
+      .map(message => ({ role: message.role, content: message.content })),
+    { role: 'user', content: userInput }
+  ];
+
+  return trimToTokenBudget(messages, tokenBudget);
+}
+
+module.exports = {
+  estimateTokens,
+  getTokenBudget,
+  validateHistory,
+  trimToTokenBudget,
+  buildChatMessages
+};
@@ -0,0 +1,59 @@
+// Helpers for conversations stored as a tree of messages
+// Each message points at its parent; the UI shows one root-to-leaf path at a time
+// and regenerating or editing a turn adds a sibling branch.
+
+// Conversations saved before branching existed have no parent links;
+// treat them as a single linear thread
+function linkMessages(messages) {
+  return messages.map((message, index) => {
+    if (message.parentId !== undefined) return message;
+    return { ...message, parentId: index === 0 ? null : messages[index - 1].id };
+  });
+}
+
+// Validate ids and parent links
+// Parents must come before their children, which also rules out cycles
+// Returns an error message, or null when the tree is usable
+function validateTree(messages) {
+  const seen = new Set();
+
+  for (const message of messages) {
+    if (seen.has(message.id)) {
+      return `Duplicate message id "${message.id}"`;
+    }
+    if (message.parentId !== null && !seen.has(message.parentId)) {
+      return `Message "${message.id}" has an unknown parent`;
+    }
+    seen.add(message.id);
+  }
+
+  return null;
+}
+
+// Fall back to the newest message when the stored leaf is missing
+function resolveLeafId(messages, leafId) {
+  if (leafId && messages.some(message => message.id === leafId)) {
+    return leafId;
+  }
+  return messages.length > 0 ? messages[messages.length - 1].id : null;
+}
+
+// Messages from the root down to leafId
+function getActivePath(messages, leafId) {
+  const byId = new Map(messages.map(message => [message.id, message]));
+  const path = [];
+
+  let current = byId.get(resolveLeafId(messages, leafId));
+  while (current) {
+    path.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return path;
+}
+
+module.exports = {
+  linkMessages,
+  validateTree,
+  resolveLeafId,
+  getActivePath
+};
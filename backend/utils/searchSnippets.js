@@ -0,0 +1,50 @@
+// Snippets for history search results
+// Highlights are returned as character ranges so the client can mark them
+// up itself instead of rendering server-built HTML.
+
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPET_HIGHLIGHTS = 10;
+
+// Words of a $text search string, without negated terms and quotes
+function getSearchTerms(q) {
+  return q
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/"/g, '').toLowerCase())
+    .filter(term => term.length > 1);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cut a window of text around the first matching term
+// Returns { text, highlights: [[start, end]] } with offsets into text,
+// or null when nothing matches (the text index also matches word stems)
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - radius);
+  const end = Math.min(text.length, first.index + first[0].length + radius);
+  const prefix = start > 0 ? '…' : '';
+  const window = text.slice(start, end);
+
+  const highlights = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(window)) && highlights.length < MAX_SNIPPET_HIGHLIGHTS) {
+    highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length]);
+  }
+
+  return {
+    text: prefix + window + (end < text.length ? '…' : ''),
+    highlights
+  };
+}
+
+module.exports = {
+  getSearchTerms,
+  buildSnippet
+};
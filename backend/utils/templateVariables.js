@@ -0,0 +1,94 @@
+// Helpers for prompt template variables
+// Templates declare variables such as { name: 'tone', type: 'select', options: [...] }
+// and reference them in the system prompt as {{tone}}.
+
+const VARIABLE_TYPES = ['text', 'textarea', 'select', 'number'];
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,39}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const MAX_VARIABLES = 20;
+const MAX_VALUE_LENGTH = 2000;
+
+// Validate a template's variable declarations
+// Returns an error message, or null when the schema is usable
+function validateVariableSchema(variables) {
+  if (!Array.isArray(variables)) {
+    return 'variables must be an array';
+  }
+
+  if (variables.length > MAX_VARIABLES) {
+    return `A template cannot declare more than ${MAX_VARIABLES} variables`;
+  }
+
+  const seen = new Set();
+  for (const variable of variables) {
+    if (!variable || !VARIABLE_NAME_PATTERN.test(variable.name || '')) {
+      return 'Variable names must start with a letter or underscore and contain only letters, numbers and underscores';
+    }
+    if (seen.has(variable.name)) {
+      return `Variable "${variable.name}" is declared twice`;
+    }
+    seen.add(variable.name);
+
+    if (variable.type && !VARIABLE_TYPES.includes(variable.type)) {
+      return `Variable "${variable.name}" has an invalid type. Available types: ${VARIABLE_TYPES.join(', ')}`;
+    }
+    if (variable.type === 'select' && (!Array.isArray(variable.options) || variable.options.length === 0)) {
+      return `Variable "${variable.name}" needs at least one option`;
+    }
+  }
+
+  return null;
+}
+
+// Check supplied values against the declared variables
+// Returns { fields } listing each problem, or { values } ready for rendering
+function validateVariableValues(variables = [], supplied = {}) {
+  const input = supplied && typeof supplied === 'object' && !Array.isArray(supplied) ? supplied : {};
+  const fields = [];
+  const values = {};
+
+  for (const variable of variables) {
+    const raw = input[variable.name];
+    const isEmpty = raw === undefined || raw === null || String(raw).trim() === '';
+
+    if (isEmpty) {
+      if (variable.default !== undefined && variable.default !== null && variable.default !== '') {
+        values[variable.name] = String(variable.default);
+      } else if (variable.required) {
+        fields.push({ name: variable.name, error: `${variable.label || variable.name} is required` });
+      } else {
+        values[variable.name] = '';
+      }
+      continue;
+    }
+
+    const value = String(raw).trim();
+
+    if (value.length > MAX_VALUE_LENGTH) {
+      fields.push({ name: variable.name, error: `${variable.label || variable.name} cannot exceed ${MAX_VALUE_LENGTH} characters` });
+    } else if (variable.type === 'number' && !Number.isFinite(Number(value))) {
+      fields.push({ name: variable.name, error: `${variable.label || variable.name} must be a number` });
+    } else if (variable.type === 'select' && !variable.options.includes(value)) {
+      fields.push({ name: variable.name, error: `${variable.label || variable.name} must be one of: ${variable.options.join(', ')}` });
+    } else {
+      values[variable.name] = value;
+    }
+  }
+
+  return fields.length > 0 ? { fields } : { values };
+}
+
+// Replace {{name}} placeholders; unknown names are left untouched
+function renderTemplate(text, values = {}) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  ));
+}
+
+module.exports = {
+  VARIABLE_TYPES,
+  validateVariableSchema,
+  validateVariableValues,
+  renderTemplate
+};
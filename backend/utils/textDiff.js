@@ -0,0 +1,51 @@
+// Line-based diff used to compare prompt template versions
+
+// Guard against quadratic blow-up on very long inputs
+const MAX_DIFF_LINES = 2000;
+
+// Diff two strings line by line (longest common subsequence)
+// Returns [{ type: 'equal' | 'added' | 'removed', text }]
+function diffLines(before = '', after = '') {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', text: a[i++] });
+    } else {
+      changes.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) changes.push({ type: 'added', text: b[j++] });
+
+  return changes;
+}
+
+module.exports = {
+  diffLines
+};
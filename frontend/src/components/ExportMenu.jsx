@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem, ListItemText, CircularProgress } from '@mui/material';
+import { Download } from '@mui/icons-material';
+
+const EXPORT_FORMATS = [
+  { id: 'markdown', name: 'Markdown', description: '.md' },
+  { id: 'json', name: 'JSON', description: 'Raw data with metadata' },
+  { id: 'html', name: 'HTML', description: 'Standalone web page' },
+  { id: 'pdf', name: 'PDF', description: 'Printable document' }
+];
+
+const darkButtonSx = {
+  color: '#ececf1',
+  borderColor: '#565869',
+  textTransform: 'none',
+  '&:hover': { borderColor: '#8e8ea0', bgcolor: '#2e2e2e' }
+};
+
+const darkPaperSx = {
+  bgcolor: '#202123',
+  color: '#ececf1',
+  border: '1px solid #40414f'
+};
+
+// "Export" button with a menu of file formats.
+// onExport(format) may return a promise; the button shows a spinner until it settles.
+const ExportMenu = ({ onExport, disabled, dark = false, label = 'Export' }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const handleSelect = async (format) => {
+    setAnchorEl(null);
+    setExporting(true);
+    try {
+      await onExport(format);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        variant={dark ? 'outlined' : 'text'}
+        startIcon={exporting ? <CircularProgress size={14} color="inherit" /> : <Download />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={disabled || exporting}
+        sx={dark ? darkButtonSx : undefined}
+      >
+        {label}
+      </Button>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={!!anchorEl}
+        onClose={() => setAnchorEl(null)}
+        slotProps={{ paper: { sx: dark ? darkPaperSx : undefined } }}
+      >
+        {EXPORT_FORMATS.map(format => (
+          <MenuItem key={format.id} onClick={() => handleSelect(format.id)}>
+            <ListItemText
+              primary={format.name}
+              secondary={format.description}
+              slotProps={dark ? { secondary: { sx: { color: '#8e8ea0' } } } : undefined}
+            />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default ExportMenu;
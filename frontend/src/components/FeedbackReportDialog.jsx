@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Box,
+  CircularProgress,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { ThumbUp, ThumbDown } from '@mui/icons-material';
+import { deepseekAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const formatCategory = (category) => category.replace(/_/g, ' ');
+
+// Most reported categories first
+const topCategories = (categories) => Object.entries(categories)
+  .sort(([, a], [, b]) => b - a)
+  .slice(0, 3);
+
+// Admin report of thumbs up/down per prompt type and template version
+const FeedbackReportDialog = ({ open, onClose }) => {
+  const [report, setReport] = useState([]);
+  const [recentComments, setRecentComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({ from: '', to: '' });
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await deepseekAPI.getFeedbackReport(filters);
+      setReport(result.report || []);
+      setRecentComments(result.recentComments || []);
+    } catch (error) {
+      toast.error(error.error || 'Failed to load feedback report');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    if (open) {
+      loadReport();
+    }
+  }, [open, loadReport]);
+
+  const handleFilterChange = (name) => (e) => {
+    setFilters(prev => ({ ...prev, [name]: e.target.value }));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Feedback by prompt</DialogTitle>
+
+      <DialogContent dividers sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            label="From"
+            type="date"
+            size="small"
+            value={filters.from}
+            onChange={handleFilterChange('from')}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            label="To"
+            type="date"
+            size="small"
+            value={filters.to}
+            onChange={handleFilterChange('to')}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : report.length === 0 ? (
+          <Typography color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+            No generations in this period
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Prompt type</TableCell>
+                <TableCell>Version</TableCell>
+                <TableCell align="right">Generations</TableCell>
+                <TableCell align="right"><ThumbUp fontSize="inherit" /></TableCell>
+                <TableCell align="right"><ThumbDown fontSize="inherit" /></TableCell>
+                <TableCell align="right">Approval</TableCell>
+                <TableCell>Top issues</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.map(row => (
+                <TableRow key={`${row.promptType}:${row.templateVersion}`}>
+                  <TableCell>{row.promptType}</TableCell>
+                  <TableCell>{row.templateVersion ? `v${row.templateVersion}` : '—'}</TableCell>
+                  <TableCell align="right">{row.generations}</TableCell>
+                  <TableCell align="right">{row.up}</TableCell>
+                  <TableCell align="right">{row.down}</TableCell>
+                  <TableCell align="right">{row.approval === null ? '—' : `${row.approval}%`}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                      {topCategories(row.categories).map(([category, count]) => (
+                        <Chip key={category} size="small" variant="outlined" label={`${formatCategory(category)} (${count})`} />
+                      ))}
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {!loading && recentComments.length > 0 && (
+          <Box>
+            <Typography variant="subtitle2" color="text.secondary">
+              Recent comments
+            </Typography>
+            <List dense disablePadding>
+              {recentComments.map(item => (
+                <ListItem key={item.generationId} divider>
+                  <ListItemText
+                    primary={item.comment}
+                    secondary={[
+                      item.rating === 'up' ? '👍' : '👎',
+                      item.templateVersion ? `${item.promptType} v${item.templateVersion}` : item.promptType,
+                      item.category && formatCategory(item.category),
+                      new Date(item.updatedAt).toLocaleDateString()
+                    ].filter(Boolean).join(' · ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button onClick={loadReport} disabled={loading}>Refresh</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default FeedbackReportDialog;
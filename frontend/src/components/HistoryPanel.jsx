@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -21,59 +21,91 @@ import {
   Tab,
   TextField,
   InputAdornment,
-  Tooltip
+  Tooltip,
+  MenuItem
 } from '@mui/material';
 import {
   History,
   Close,
   Search,
-  Business,
-  Code,
-  Campaign,
-  ChatBubble,
-  School,
-  Psychology,
-  Lightbulb,
-  Email,
   Visibility,
   ContentCopy,
-  TrendingUp
+  TrendingUp,
+  Share
 } from '@mui/icons-material';
 import { deepseekAPI } from '../services/api';
+import PromptIcon from './PromptIcon';
+import MarkdownRenderer from './MarkdownRenderer';
+import ExportMenu from './ExportMenu';
+import ShareDialog from './ShareDialog';
 import toast from 'react-hot-toast';
 
+const PAGE_SIZE = 20;
+const SEARCH_DELAY_MS = 300;
+
+// Text with the server-provided [start, end] ranges wrapped in <mark>
+const HighlightedSnippet = ({ snippet }) => {
+  const parts = [];
+  let position = 0;
+  snippet.highlights.forEach(([start, end]) => {
+    if (start > position) parts.push(snippet.text.slice(position, start));
+    parts.push(<mark key={start}>{snippet.text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(snippet.text.slice(position));
+  return <>{parts}</>;
+};
+
 const HistoryPanel = ({ open, onClose }) => {
   const [generations, setGenerations] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
   const [loading, setLoading] = useState(true);
-  const [selectedTab, setSelectedTab] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [selectedType, setSelectedType] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  // Server-side filters; q follows searchTerm after a short pause in typing
+  const [filters, setFilters] = useState({ q: '', mode: 'all', from: '', to: '' });
   const [selectedGeneration, setSelectedGeneration] = useState(null);
   const [viewDialogOpen, setViewDialogOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
   const [stats, setStats] = useState(null);
+  const [prompts, setPrompts] = useState({});
+  // Responses for previous filters are ignored once the filters change
+  const requestRef = useRef(0);
+  const searchTimeoutRef = useRef(null);
 
-  useEffect(() => {
-    if (open) {
-      loadHistory();
-      loadStats();
+  const historyFilters = useMemo(() => ({
+    ...filters,
+    promptType: selectedType === 'all' ? '' : selectedType,
+    mode: filters.mode === 'all' ? '' : filters.mode
+  }), [filters, selectedType]);
+
+  // Load the first page (skip 0) or append the next one
+  const loadHistory = useCallback(async (query, skip = 0) => {
+    const request = ++requestRef.current;
+    if (skip === 0) {
+      setLoading(true);
+    } else {
+      setLoadingMore(true);
     }
-  }, [open, selectedTab]);
 
-  const loadHistory = async () => {
-    setLoading(true);
     try {
-      const promptType = selectedTab === 0 ? '' : getPromptTypeFromTab(selectedTab);
-      const result = await deepseekAPI.getHistory(50, 0, promptType);
-      if (result.success) {
-        setGenerations(result.generations);
+      const result = await deepseekAPI.getHistory(PAGE_SIZE, skip, query);
+      if (result.success && request === requestRef.current) {
+        setGenerations(prev => (skip === 0 ? result.generations : [...prev, ...result.generations]));
+        setHasMore(result.hasMore);
       }
     } catch (error) {
-      toast.error('Failed to load history');
+      toast.error(error.error || 'Failed to load history');
     } finally {
-      setLoading(false);
+      if (request === requestRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
-  };
+  }, []);
 
-  const loadStats = async () => {
+  const loadStats = useCallback(async () => {
     try {
       const result = await deepseekAPI.getStats();
       if (result.success) {
@@ -82,46 +114,66 @@ const HistoryPanel = ({ open, onClose }) => {
     } catch (error) {
       console.log('Failed to load stats:', error);
     }
+  }, []);
+
+  // Prompt metadata (name, category, color, icon) keyed by prompt type
+  const loadPrompts = useCallback(async () => {
+    try {
+      const result = await deepseekAPI.getPrompts();
+      if (result.success) {
+        setPrompts(Object.fromEntries(result.prompts.map(prompt => [prompt.id, prompt])));
+      }
+    } catch (error) {
+      console.log('Failed to load prompts:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      loadHistory(historyFilters);
+    }
+  }, [open, historyFilters, loadHistory]);
+
+  useEffect(() => () => clearTimeout(searchTimeoutRef.current), []);
+
+  const handleSearchChange = (e) => {
+    const value = e.target.value;
+    setSearchTerm(value);
+    clearTimeout(searchTimeoutRef.current);
+    searchTimeoutRef.current = setTimeout(() => {
+      setFilters(prev => ({ ...prev, q: value.trim() }));
+    }, SEARCH_DELAY_MS);
+  };
+
+  const handleFilterChange = (field) => (e) => {
+    setFilters(prev => ({ ...prev, [field]: e.target.value }));
   };
 
-  const getPromptTypeFromTab = (tabIndex) => {
-    const tabs = [
-      '', // All
-      'general_chat',
-      'business_plan', 
-      'code_review',
-      'content_strategy',
-      'creative_writing'
-    ];
-    return tabs[tabIndex] || '';
+  useEffect(() => {
+    if (open) {
+      loadStats();
+      loadPrompts();
+    }
+  }, [open, loadStats, loadPrompts]);
+
+  // Fetch the next page when the list is scrolled near its end
+  const handleListScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (hasMore && !loading && !loadingMore && scrollHeight - scrollTop - clientHeight < 200) {
+      loadHistory(historyFilters, generations.length);
+    }
   };
 
   const getPromptIcon = (promptType) => {
-    const icons = {
-      business_plan: <Business />,
-      code_review: <Code />,
-      content_strategy: <Campaign />,
-      general_chat: <ChatBubble />,
-      learning_path: <School />,
-      problem_solving: <Psychology />,
-      creative_writing: <Lightbulb />,
-      email_writing: <Email />
-    };
-    return icons[promptType] || <ChatBubble />;
+    return <PromptIcon name={prompts[promptType]?.icon} />;
   };
 
   const getPromptColor = (promptType) => {
-    const colors = {
-      business_plan: '#4caf50',
-      code_review: '#f44336',
-      content_strategy: '#ff9800',
-      general_chat: '#2196f3',
-      learning_path: '#00bcd4',
-      problem_solving: '#607d8b',
-      creative_writing: '#9c27b0',
-      email_writing: '#3f51b5'
-    };
-    return colors[promptType] || '#2196f3';
+    return prompts[promptType]?.color || '#2196f3';
+  };
+
+  const getPromptName = (generation) => {
+    return prompts[generation.promptType]?.name || generation.promptName || generation.promptType;
   };
 
   const formatDate = (date) => {
@@ -147,9 +199,29 @@ const HistoryPanel = ({ open, onClose }) => {
     return text.substring(0, maxLength) + '...';
   };
 
-  const handleViewGeneration = (generation) => {
+  // Show the list entry right away, then fill in the full record
+  const handleViewGeneration = async (generation) => {
     setSelectedGeneration(generation);
     setViewDialogOpen(true);
+
+    try {
+      const result = await deepseekAPI.getGeneration(generation.id);
+      if (result.success) {
+        setSelectedGeneration(current => (current?.id === generation.id ? result.generation : current));
+      }
+    } catch (error) {
+      toast.error(error.error || 'Failed to load generation');
+    }
+  };
+
+  // Exports everything matching the current tab, search and filters
+  const handleExport = async (format) => {
+    try {
+      const result = await deepseekAPI.exportHistory(format, historyFilters);
+      toast.success(`Exported ${result.filename}`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to export history');
+    }
   };
 
   const handleCopy = (text) => {
@@ -157,18 +229,17 @@ const HistoryPanel = ({ open, onClose }) => {
     toast.success('Copied to clipboard!');
   };
 
-  const filteredGenerations = generations.filter(gen => 
-    gen.userInput.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    gen.aiResponse.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
+  // One tab per prompt type: every template the user can see, plus types that
+  // only appear in their history (e.g. deleted private prompts)
   const promptTypeTabs = [
-    { label: 'All', value: '' },
-    { label: 'General', value: 'general_chat' },
-    { label: 'Business', value: 'business_plan' },
-    { label: 'Code', value: 'code_review' },
-    { label: 'Content', value: 'content_strategy' },
-    { label: 'Creative', value: 'creative_writing' }
+    { label: 'All', value: 'all' },
+    ...[...new Set([...Object.keys(prompts), ...Object.keys(stats?.byPromptType || {})])]
+      .map(promptType => ({
+        label: prompts[promptType]?.name || promptType,
+        value: promptType,
+        count: stats?.byPromptType?.[promptType] || 0
+      }))
+      .sort((a, b) => b.count - a.count)
   ];
 
   return (
@@ -238,9 +309,9 @@ const HistoryPanel = ({ open, onClose }) => {
           <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
             <TextField
               fullWidth
-              placeholder="Search history..."
+              placeholder="Search all history..."
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              onChange={handleSearchChange}
               size="small"
               InputProps={{
                 startAdornment: (
@@ -251,17 +322,49 @@ const HistoryPanel = ({ open, onClose }) => {
               }}
               sx={{ mb: 2 }}
             />
+
+            <Box display="flex" flexWrap="wrap" gap={2} mb={1}>
+              <TextField
+                label="From"
+                type="date"
+                value={filters.from}
+                onChange={handleFilterChange('from')}
+                size="small"
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                label="To"
+                type="date"
+                value={filters.to}
+                onChange={handleFilterChange('to')}
+                size="small"
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                select
+                label="Mode"
+                value={filters.mode}
+                onChange={handleFilterChange('mode')}
+                size="small"
+                sx={{ minWidth: 120 }}
+              >
+                <MenuItem value="all">All</MenuItem>
+                <MenuItem value="ai">AI</MenuItem>
+                <MenuItem value="mock">Mock</MenuItem>
+              </TextField>
+            </Box>
             
             <Tabs 
-              value={selectedTab} 
-              onChange={(e, newValue) => setSelectedTab(newValue)}
+              value={selectedType} 
+              onChange={(e, newValue) => setSelectedType(newValue)}
               variant="scrollable"
               scrollButtons="auto"
             >
-              {promptTypeTabs.map((tab, index) => (
+              {promptTypeTabs.map((tab) => (
                 <Tab 
                   key={tab.value} 
-                  label={tab.label}
+                  value={tab.value}
+                  label={tab.count ? `${tab.label} (${tab.count})` : tab.label}
                   sx={{ minWidth: 'auto', px: 2 }}
                 />
               ))}
@@ -273,19 +376,21 @@ const HistoryPanel = ({ open, onClose }) => {
             <Box display="flex" justifyContent="center" p={4}>
               <CircularProgress />
             </Box>
-          ) : filteredGenerations.length === 0 ? (
+          ) : generations.length === 0 ? (
             <Box textAlign="center" py={4}>
               <History sx={{ fontSize: 48, color: 'grey.300', mb: 2 }} />
               <Typography color="textSecondary" gutterBottom>
                 No generation history found
               </Typography>
               <Typography variant="body2" color="textSecondary">
-                {searchTerm ? 'Try a different search term' : 'Start chatting to see your history here'}
+                {filters.q || filters.from || filters.to || filters.mode !== 'all'
+                  ? 'Try a different search or filter'
+                  : 'Start chatting to see your history here'}
               </Typography>
             </Box>
           ) : (
-            <List sx={{ maxHeight: '50vh', overflow: 'auto' }}>
-              {filteredGenerations.map((gen, index) => (
+            <List sx={{ maxHeight: '50vh', overflow: 'auto' }} onScroll={handleListScroll}>
+              {generations.map((gen, index) => (
                 <React.Fragment key={gen.id}>
                   <ListItem 
                     alignItems="flex-start"
@@ -306,8 +411,15 @@ const HistoryPanel = ({ open, onClose }) => {
                       primary={
                         <Box display="flex" alignItems="center" gap={1} mb={0.5}>
                           <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
-                            {gen.promptName || gen.promptType}
+                            {getPromptName(gen)}
                           </Typography>
+                          {prompts[gen.promptType]?.category && (
+                            <Chip 
+                              label={prompts[gen.promptType].category}
+                              size="small"
+                              variant="outlined"
+                            />
+                          )}
                           <Chip 
                             label={gen.mode === 'ai' ? 'AI' : 'Mock'} 
                             size="small"
@@ -327,8 +439,15 @@ const HistoryPanel = ({ open, onClose }) => {
                       secondary={
                         <>
                           <Typography variant="body2" color="text.primary" sx={{ mb: 1 }}>
-                            {truncateText(gen.userInput, 120)}
+                            {gen.snippets?.userInput
+                              ? <HighlightedSnippet snippet={gen.snippets.userInput} />
+                              : truncateText(gen.userInput, 120)}
                           </Typography>
+                          {gen.snippets?.aiResponse && (
+                            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                              <HighlightedSnippet snippet={gen.snippets.aiResponse} />
+                            </Typography>
+                          )}
                           <Box display="flex" justifyContent="space-between" alignItems="center">
                             <Typography variant="caption" color="text.secondary">
                               {formatTimeAgo(gen.createdAt)} • {formatDate(gen.createdAt)}
@@ -357,17 +476,27 @@ const HistoryPanel = ({ open, onClose }) => {
                       }
                     />
                   </ListItem>
-                  {index < filteredGenerations.length - 1 && <Divider />}
+                  {index < generations.length - 1 && <Divider />}
                 </React.Fragment>
               ))}
+              {loadingMore && (
+                <Box display="flex" justifyContent="center" p={2}>
+                  <CircularProgress size={24} />
+                </Box>
+              )}
             </List>
           )}
         </DialogContent>
         
         <DialogActions>
+          <ExportMenu
+            onExport={handleExport}
+            disabled={loading || generations.length === 0}
+          />
+          <Box sx={{ flex: 1 }} />
           <Button onClick={onClose}>Close</Button>
           <Button 
-            onClick={loadHistory} 
+            onClick={() => loadHistory(historyFilters)} 
             color="primary"
             disabled={loading}
           >
@@ -393,7 +522,7 @@ const HistoryPanel = ({ open, onClose }) => {
                 </Avatar>
                 <Box flex={1}>
                   <Typography variant="h6">
-                    {selectedGeneration.promptName || selectedGeneration.promptType}
+                    {getPromptName(selectedGeneration)}
                   </Typography>
                   <Typography variant="caption" color="text.secondary">
                     {formatDate(selectedGeneration.createdAt)}
@@ -412,6 +541,16 @@ const HistoryPanel = ({ open, onClose }) => {
                       variant="outlined"
                     />
                   )}
+                  {selectedGeneration.templateVersion && (
+                    <Chip 
+                      label={`Template v${selectedGeneration.templateVersion}`}
+                      size="small"
+                      variant="outlined"
+                    />
+                  )}
+                  {selectedGeneration.status === 'stopped' && (
+                    <Chip label="Stopped" size="small" color="warning" variant="outlined" />
+                  )}
                 </Box>
               </Box>
             </DialogTitle>
@@ -428,14 +567,25 @@ const HistoryPanel = ({ open, onClose }) => {
                 </Paper>
               </Box>
               
+              {selectedGeneration.variables && Object.keys(selectedGeneration.variables).length > 0 && (
+                <Box>
+                  <Typography variant="subtitle2" gutterBottom color="text.secondary">
+                    Variables:
+                  </Typography>
+                  <Box display="flex" flexWrap="wrap" gap={1}>
+                    {Object.entries(selectedGeneration.variables).map(([name, value]) => (
+                      <Chip key={name} label={`${name}: ${value}`} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+                </Box>
+              )}
+              
               <Box>
                 <Typography variant="subtitle2" gutterBottom color="text.secondary">
                   AI Response:
                 </Typography>
-                <Paper sx={{ p: 2, bgcolor: 'grey.50', borderRadius: 1, maxHeight: '300px', overflow: 'auto' }}>
-                  <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
-                    {selectedGeneration.aiResponse}
-                  </Typography>
+                <Paper sx={{ p: 2, bgcolor: 'grey.50', borderRadius: 1, maxHeight: '300px', overflow: 'auto', fontSize: '14px' }}>
+                  <MarkdownRenderer content={selectedGeneration.aiResponse} theme="light" />
                 </Paper>
               </Box>
             </DialogContent>
@@ -447,11 +597,25 @@ const HistoryPanel = ({ open, onClose }) => {
               >
                 Copy Response
               </Button>
+              <Button 
+                startIcon={<Share />}
+                onClick={() => setShareOpen(true)}
+              >
+                Share
+              </Button>
               <Button onClick={() => setViewDialogOpen(false)}>Close</Button>
             </DialogActions>
           </>
         )}
       </Dialog>
+
+      <ShareDialog
+        open={shareOpen}
+        onClose={() => setShareOpen(false)}
+        resourceType="generation"
+        resourceId={selectedGeneration?.id}
+        title={selectedGeneration && getPromptName(selectedGeneration)}
+      />
     </>
   );
 };
@@ -0,0 +1,40 @@
+import React from 'react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import HistoryPanel from './HistoryPanel';
+import { XSS_PAYLOADS, expectNoActiveContent } from '../test/xssPayloads';
+
+const generation = {
+  id: 'gen-1',
+  promptType: 'general',
+  promptName: 'General',
+  mode: 'ai',
+  tokensUsed: 42,
+  userInput: 'Show me something',
+  aiResponse: `Here you go\n\n${Object.values(XSS_PAYLOADS).join('\n\n')}`,
+  createdAt: '2026-01-01T00:00:00.000Z'
+};
+
+vi.mock('../services/api', async (importOriginal) => ({
+  ...await importOriginal(),
+  deepseekAPI: {
+    getHistory: vi.fn(async () => ({ success: true, generations: [generation], hasMore: false })),
+    getGeneration: vi.fn(async () => ({ success: true, generation })),
+    getStats: vi.fn(async () => ({ success: false })),
+    getPrompts: vi.fn(async () => ({ success: true, prompts: [] }))
+  }
+}));
+
+afterEach(cleanup);
+
+describe('HistoryPanel', () => {
+  it('renders a stored response inert in the detail dialog', async () => {
+    render(<HistoryPanel open onClose={() => {}} />);
+
+    fireEvent.click(await screen.findByLabelText('View Details'));
+    const dialog = (await screen.findByText('AI Response:')).closest('[role="dialog"]');
+
+    expect(dialog.textContent).toContain('Here you go');
+    expectNoActiveContent(dialog);
+  });
+});
@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
+import { PrismLight as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneDark, oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import bash from 'react-syntax-highlighter/dist/esm/languages/prism/bash';
+import c from 'react-syntax-highlighter/dist/esm/languages/prism/c';
+import cpp from 'react-syntax-highlighter/dist/esm/languages/prism/cpp';
+import csharp from 'react-syntax-highlighter/dist/esm/languages/prism/csharp';
+import css from 'react-syntax-highlighter/dist/esm/languages/prism/css';
+import go from 'react-syntax-highlighter/dist/esm/languages/prism/go';
+import java from 'react-syntax-highlighter/dist/esm/languages/prism/java';
+import javascript from 'react-syntax-highlighter/dist/esm/languages/prism/javascript';
+import json from 'react-syntax-highlighter/dist/esm/languages/prism/json';
+import jsx from 'react-syntax-highlighter/dist/esm/languages/prism/jsx';
+import kotlin from 'react-syntax-highlighter/dist/esm/languages/prism/kotlin';
+import markdown from 'react-syntax-highlighter/dist/esm/languages/prism/markdown';
+import markup from 'react-syntax-highlighter/dist/esm/languages/prism/markup';
+import python from 'react-syntax-highlighter/dist/esm/languages/prism/python';
+import rust from 'react-syntax-highlighter/dist/esm/languages/prism/rust';
+import sql from 'react-syntax-highlighter/dist/esm/languages/prism/sql';
+import tsx from 'react-syntax-highlighter/dist/esm/languages/prism/tsx';
+import typescript from 'react-syntax-highlighter/dist/esm/languages/prism/typescript';
+import yaml from 'react-syntax-highlighter/dist/esm/languages/prism/yaml';
+import { ContentCopy, Check } from '@mui/icons-material';
+
+// Only the languages registered here are highlighted; the rest render as plain code
+const LANGUAGES = {
+  bash, c, cpp, csharp, css, go, java, javascript, json, jsx, kotlin,
+  markdown, markup, python, rust, sql, tsx, typescript, yaml
+};
+Object.entries(LANGUAGES).forEach(([name, language]) => {
+  SyntaxHighlighter.registerLanguage(name, language);
+});
+
+// Common fence names mapped onto registered languages
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  'c++': 'cpp',
+  cs: 'csharp',
+  html: 'markup',
+  xml: 'markup',
+  yml: 'yaml',
+  md: 'markdown',
+  rs: 'rust',
+  kt: 'kotlin'
+};
+
+// Model output is untrusted: it can be steered by prompt injection.
+// Everything goes through an allow-list (GitHub's, minus images) before it
+// reaches React, and links are limited to web and mail URLs.
+// Math classes survive so KaTeX, which runs after sanitizing, can find them.
+const SANITIZE_SCHEMA = {
+  ...defaultSchema,
+  tagNames: defaultSchema.tagNames.filter(tag => !['img', 'picture', 'source'].includes(tag)),
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [['className', /^language-./, 'math-inline', 'math-display']]
+  },
+  protocols: {
+    ...defaultSchema.protocols,
+    href: ['http', 'https', 'mailto']
+  }
+};
+
+const THEMES = {
+  dark: {
+    text: '#ececf1',
+    muted: '#8e8ea0',
+    border: '#40414f',
+    inlineCode: '#40414f',
+    codeHeader: '#2a2b32',
+    tableHeader: '#2a2b32',
+    link: '#19c37d',
+    codeStyle: oneDark
+  },
+  light: {
+    text: 'rgba(0, 0, 0, 0.87)',
+    muted: 'rgba(0, 0, 0, 0.6)',
+    border: '#e0e0e0',
+    inlineCode: '#eeeeee',
+    codeHeader: '#e8e8e8',
+    tableHeader: '#f5f5f5',
+    link: '#1976d2',
+    codeStyle: oneLight
+  }
+};
+
+// Fenced code block with language label and copy button
+const CodeBlock = ({ language, code, theme }) => {
+  const [copied, setCopied] = useState(false);
+  const resolved = LANGUAGE_ALIASES[language] || language;
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div style={{ margin: '12px 0', borderRadius: '8px', overflow: 'hidden', border: `1px solid ${theme.border}` }}>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        padding: '4px 12px',
+        backgroundColor: theme.codeHeader,
+        color: theme.muted,
+        fontSize: '12px'
+      }}>
+        <span>{language || 'text'}</span>
+        <button
+          onClick={handleCopy}
+          title="Copy code"
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '4px',
+            padding: '2px 4px',
+            border: 'none',
+            background: 'none',
+            color: theme.muted,
+            fontSize: '12px',
+            cursor: 'pointer'
+          }}
+        >
+          {copied ? <Check style={{ width: '14px', height: '14px' }} /> : <ContentCopy style={{ width: '14px', height: '14px' }} />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      <SyntaxHighlighter
+        language={LANGUAGES[resolved] ? resolved : 'text'}
+        style={theme.codeStyle}
+        customStyle={{ margin: 0, borderRadius: 0, fontSize: '13px' }}
+        wrapLongLines={false}
+      >
+        {code}
+      </SyntaxHighlighter>
+    </div>
+  );
+};
+
+const buildComponents = (theme) => ({
+  h1: ({ children }) => (
+    <h1 style={{ fontSize: '20px', fontWeight: 'bold', margin: '20px 0 12px', color: theme.text }}>{children}</h1>
+  ),
+  h2: ({ children }) => (
+    <h2 style={{
+      fontSize: '18px',
+      fontWeight: 'bold',
+      margin: '20px 0 12px',
+      color: theme.text,
+      paddingBottom: '4px',
+      borderBottom: `1px solid ${theme.border}`
+    }}>
+      {children}
+    </h2>
+  ),
+  h3: ({ children }) => (
+    <h3 style={{ fontSize: '16px', fontWeight: 600, margin: '16px 0 8px', color: theme.text }}>{children}</h3>
+  ),
+  p: ({ children }) => <p style={{ margin: '0 0 12px' }}>{children}</p>,
+  ul: ({ children, className }) => (
+    <ul style={{ margin: '0 0 12px', paddingLeft: className === 'contains-task-list' ? '4px' : '24px', listStyle: className === 'contains-task-list' ? 'none' : 'disc' }}>
+      {children}
+    </ul>
+  ),
+  ol: ({ children, start }) => <ol start={start} style={{ margin: '0 0 12px', paddingLeft: '24px' }}>{children}</ol>,
+  li: ({ children }) => <li style={{ marginBottom: '6px' }}>{children}</li>,
+  input: ({ checked, type }) => (
+    type === 'checkbox'
+      ? <input type="checkbox" checked={!!checked} readOnly disabled style={{ marginRight: '8px' }} />
+      : null
+  ),
+  strong: ({ children }) => <strong style={{ fontWeight: 'bold', color: theme.text }}>{children}</strong>,
+  a: ({ href, children }) => (
+    href
+      ? (
+        <a href={href} target="_blank" rel="noopener noreferrer nofollow" style={{ color: theme.link, textDecoration: 'underline' }}>
+          {children}
+        </a>
+      )
+      : <span>{children}</span>
+  ),
+  blockquote: ({ children }) => (
+    <blockquote style={{ margin: '0 0 12px', padding: '4px 12px', borderLeft: `3px solid ${theme.border}`, color: theme.muted }}>
+      {children}
+    </blockquote>
+  ),
+  hr: () => <hr style={{ border: 'none', height: '1px', backgroundColor: theme.border, margin: '24px 0' }} />,
+  table: ({ children }) => (
+    <div style={{ overflowX: 'auto', margin: '0 0 12px' }}>
+      <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '14px' }}>{children}</table>
+    </div>
+  ),
+  th: ({ children, style }) => (
+    <th style={{ ...style, padding: '6px 12px', border: `1px solid ${theme.border}`, backgroundColor: theme.tableHeader, fontWeight: 600 }}>
+      {children}
+    </th>
+  ),
+  td: ({ children, style }) => (
+    <td style={{ ...style, padding: '6px 12px', border: `1px solid ${theme.border}` }}>{children}</td>
+  ),
+  // Code blocks are rendered by the code component below
+  pre: ({ children }) => <>{children}</>,
+  code: ({ className, children }) => {
+    const match = /language-([\w+#-]+)/.exec(className || '');
+    const code = String(children).replace(/\n$/, '');
+
+    if (!match && !code.includes('\n')) {
+      return (
+        <code style={{
+          padding: '2px 6px',
+          borderRadius: '4px',
+          backgroundColor: theme.inlineCode,
+          fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace',
+          fontSize: '0.9em'
+        }}>
+          {children}
+        </code>
+      );
+    }
+
+    return <CodeBlock language={match?.[1]} code={code} theme={theme} />;
+  }
+});
+
+const COMPONENTS = {
+  dark: buildComponents(THEMES.dark),
+  light: buildComponents(THEMES.light)
+};
+
+const REMARK_PLUGINS = [remarkGfm, remarkMath];
+// Invalid math falls back to its source text in the surrounding colour
+const REHYPE_PLUGINS = [
+  [rehypeSanitize, SANITIZE_SCHEMA],
+  [rehypeKatex, { throwOnError: false, errorColor: 'inherit' }]
+];
+
+// Render model output as GitHub-flavoured Markdown with $inline$ and $$block$$ math.
+// Raw HTML in the source is never parsed, the tree is sanitized and nothing
+// is injected with dangerouslySetInnerHTML.
+const MarkdownRenderer = ({ content, theme = 'dark' }) => {
+  if (!content) return null;
+
+  return (
+    <ReactMarkdown
+      remarkPlugins={REMARK_PLUGINS}
+      rehypePlugins={REHYPE_PLUGINS}
+      components={COMPONENTS[theme]}
+      skipHtml
+    >
+      {content}
+    </ReactMarkdown>
+  );
+};
+
+export default MarkdownRenderer;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { cleanup, render } from '@testing-library/react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { XSS_PAYLOADS, expectNoActiveContent } from '../test/xssPayloads';
+
+afterEach(cleanup);
+
+describe('MarkdownRenderer', () => {
+  it.each(Object.entries(XSS_PAYLOADS))('renders %s inert', (name, payload) => {
+    const { container } = render(<MarkdownRenderer content={payload} />);
+    expectNoActiveContent(container);
+  });
+
+  it('renders every payload inert in one document', () => {
+    const { container } = render(<MarkdownRenderer content={Object.values(XSS_PAYLOADS).join('\n\n')} theme="light" />);
+    expectNoActiveContent(container);
+  });
+
+  it('keeps the text of links it drops', () => {
+    const { container } = render(<MarkdownRenderer content={XSS_PAYLOADS['javascript: link']} />);
+    expect(container.textContent).toContain('js link');
+    expect(container.querySelector('a')).toBeNull();
+  });
+
+  it('keeps safe links', () => {
+    const { container } = render(<MarkdownRenderer content="[docs](https://example.com/docs) and [mail](mailto:a@example.com)" />);
+    const links = [...container.querySelectorAll('a')];
+    expect(links.map(link => link.getAttribute('href'))).toEqual(['https://example.com/docs', 'mailto:a@example.com']);
+    links.forEach(link => expect(link.getAttribute('rel')).toContain('noopener'));
+  });
+});
@@ -0,0 +1,34 @@
+import React from 'react';
+import {
+  Business,
+  Code,
+  Campaign,
+  ChatBubble,
+  School,
+  Psychology,
+  Lightbulb,
+  Email,
+  TrendingUp,
+  EmojiEvents
+} from '@mui/icons-material';
+
+// Icon names a prompt template may use (PromptTemplate.icon on the backend)
+const PROMPT_ICONS = {
+  Business,
+  Code,
+  Campaign,
+  ChatBubble,
+  School,
+  Psychology,
+  Lightbulb,
+  Email,
+  TrendingUp,
+  EmojiEvents
+};
+
+const PromptIcon = ({ name, ...props }) => {
+  const Icon = PROMPT_ICONS[name] || ChatBubble;
+  return <Icon {...props} />;
+};
+
+export default PromptIcon;
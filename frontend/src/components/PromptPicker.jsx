@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Menu, MenuItem, ListSubheader, ListItemIcon, ListItemText, Divider } from '@mui/material';
+import { KeyboardArrowDown, Check, Star } from '@mui/icons-material';
+import PromptIcon from './PromptIcon';
+
+const menuPaperSx = {
+  bgcolor: '#202123',
+  color: '#ececf1',
+  border: '1px solid #40414f',
+  maxHeight: 420,
+  minWidth: 260
+};
+
+// Choose the prompt template used for new messages, grouped by category.
+// prompts/categories come from GET /api/deepseek/prompts.
+const PromptPicker = ({ prompts, categories, value, defaultPromptType, onChange, onSetDefault, disabled }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const selected = prompts.find(prompt => prompt.id === value);
+
+  const handleSelect = (promptId) => {
+    setAnchorEl(null);
+    onChange(promptId);
+  };
+
+  const handleSetDefault = () => {
+    setAnchorEl(null);
+    onSetDefault(value);
+  };
+
+  return (
+    <>
+      <button
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={disabled}
+        title="Choose a prompt"
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '6px',
+          padding: '4px 8px 4px 10px',
+          marginBottom: '8px',
+          borderRadius: '16px',
+          border: `1px solid ${selected?.color || '#565869'}`,
+          background: 'none',
+          color: '#ececf1',
+          fontSize: '12px',
+          cursor: disabled ? 'not-allowed' : 'pointer'
+        }}
+      >
+        <PromptIcon name={selected?.icon} style={{ width: '14px', height: '14px', color: selected?.color || '#8e8ea0' }} />
+        {selected?.name || value}
+        <KeyboardArrowDown style={{ width: '14px', height: '14px', color: '#8e8ea0' }} />
+      </button>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={!!anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'left' }}
+        transformOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+        slotProps={{ paper: { sx: menuPaperSx } }}
+      >
+        {categories.flatMap(category => [
+          <ListSubheader
+            key={`category-${category}`}
+            sx={{ bgcolor: '#202123', color: '#8e8ea0', lineHeight: '32px', fontSize: '12px' }}
+          >
+            {category}
+          </ListSubheader>,
+          ...prompts
+            .filter(prompt => prompt.category === category)
+            .map(prompt => (
+              <MenuItem
+                key={prompt.id}
+                selected={prompt.id === value}
+                onClick={() => handleSelect(prompt.id)}
+                sx={{ fontSize: '14px', '&.Mui-selected': { bgcolor: '#2e2e2e' } }}
+              >
+                <ListItemIcon sx={{ minWidth: 32 }}>
+                  <PromptIcon name={prompt.icon} fontSize="small" style={{ color: prompt.color }} />
+                </ListItemIcon>
+                <ListItemText primary={prompt.name} />
+                {prompt.id === defaultPromptType && (
+                  <Star fontSize="small" titleAccess="Your default" style={{ color: '#8e8ea0', marginLeft: '8px' }} />
+                )}
+                {prompt.id === value && (
+                  <Check fontSize="small" style={{ color: '#10a37f', marginLeft: '8px' }} />
+                )}
+              </MenuItem>
+            ))
+        ])}
+        {value !== defaultPromptType && selected && [
+          <Divider key="divider" sx={{ borderColor: '#40414f' }} />,
+          <MenuItem key="set-default" onClick={handleSetDefault} sx={{ fontSize: '13px', color: '#8e8ea0' }}>
+            Use {selected.name} for new chats
+          </MenuItem>
+        ]}
+      </Menu>
+    </>
+  );
+};
+
+export default PromptPicker;
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Box,
+  CircularProgress,
+  Checkbox,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  Typography
+} from '@mui/material';
+import { Add, Delete } from '@mui/icons-material';
+import { deepseekAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const VARIABLE_TYPES = ['text', 'textarea', 'select', 'number'];
+
+// Editable rows keep select options as comma-separated text
+const toVariableRows = (variables = []) => variables.map(variable => ({
+  name: variable.name,
+  label: variable.label === variable.name ? '' : variable.label || '',
+  type: variable.type || 'text',
+  required: !!variable.required,
+  optionsText: (variable.options || []).join(', '),
+  default: variable.default || ''
+}));
+
+const fromVariableRows = (rows) => rows
+  .filter(row => row.name.trim())
+  .map(row => ({
+    name: row.name.trim(),
+    label: row.label.trim() || undefined,
+    type: row.type,
+    required: row.required,
+    options: row.type === 'select'
+      ? row.optionsText.split(',').map(option => option.trim()).filter(Boolean)
+      : [],
+    default: row.default || undefined
+  }));
+
+// Create or edit one of the user's private prompt templates.
+// Pass prompt to edit an existing template; remount (key) to reset the form.
+const PromptTemplateDialog = ({ open, prompt, onClose, onSaved }) => {
+  const [form, setForm] = useState({
+    name: prompt?.name || '',
+    systemPrompt: prompt?.description || '',
+    category: prompt?.category || 'My Prompts',
+    color: prompt?.color || '#10a37f'
+  });
+  const [variableRows, setVariableRows] = useState(toVariableRows(prompt?.variables));
+  const [saving, setSaving] = useState(false);
+
+  const isEditing = !!prompt;
+  const canSave = form.name.trim() && form.systemPrompt.trim() && !saving;
+
+  const handleChange = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleVariableChange = (index, field, value) => {
+    setVariableRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addVariable = () => {
+    setVariableRows(prev => [...prev, toVariableRows([{ name: '' }])[0]]);
+  };
+
+  const removeVariable = (index) => {
+    setVariableRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const payload = { ...form, variables: fromVariableRows(variableRows) };
+      const result = isEditing
+        ? await deepseekAPI.updateMyPrompt(prompt.id, payload)
+        : await deepseekAPI.createMyPrompt(payload);
+
+      if (result.success) {
+        toast.success(isEditing ? 'Prompt updated' : 'Prompt saved');
+        onSaved(result.prompt);
+      }
+    } catch (error) {
+      toast.error(error.error || 'Failed to save prompt');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{isEditing ? 'Edit prompt' : 'New prompt'}</DialogTitle>
+
+      <DialogContent dividers sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        <TextField
+          label="Name"
+          value={form.name}
+          onChange={handleChange('name')}
+          inputProps={{ maxLength: 80 }}
+          size="small"
+          autoFocus
+          fullWidth
+        />
+        <TextField
+          label="System prompt"
+          placeholder="e.g. Review our Express routes against our style guide..."
+          value={form.systemPrompt}
+          onChange={handleChange('systemPrompt')}
+          inputProps={{ maxLength: 10000 }}
+          minRows={6}
+          multiline
+          fullWidth
+        />
+        <Box display="flex" gap={2}>
+          <TextField
+            label="Category"
+            value={form.category}
+            onChange={handleChange('category')}
+            size="small"
+            fullWidth
+          />
+          <TextField
+            label="Color"
+            type="color"
+            value={form.color}
+            onChange={handleChange('color')}
+            size="small"
+            sx={{ width: 120 }}
+          />
+        </Box>
+
+        <Box>
+          <Box display="flex" alignItems="center" justifyContent="space-between">
+            <Typography variant="subtitle2">Variables</Typography>
+            <Button size="small" startIcon={<Add />} onClick={addVariable}>
+              Add variable
+            </Button>
+          </Box>
+          <Typography variant="caption" color="text.secondary">
+            {'Reference a variable in the system prompt as {{name}}. Each one gets a field above the chat input.'}
+          </Typography>
+
+          {variableRows.map((row, index) => (
+            <Box key={index} display="flex" flexWrap="wrap" alignItems="center" gap={1} mt={1.5}>
+              <TextField
+                label="Name"
+                value={row.name}
+                onChange={(e) => handleVariableChange(index, 'name', e.target.value)}
+                size="small"
+                sx={{ width: 130 }}
+              />
+              <TextField
+                label="Label"
+                value={row.label}
+                onChange={(e) => handleVariableChange(index, 'label', e.target.value)}
+                size="small"
+                sx={{ width: 130 }}
+              />
+              <TextField
+                select
+                label="Type"
+                value={row.type}
+                onChange={(e) => handleVariableChange(index, 'type', e.target.value)}
+                size="small"
+                sx={{ width: 110 }}
+              >
+                {VARIABLE_TYPES.map(type => (
+                  <MenuItem key={type} value={type}>{type}</MenuItem>
+                ))}
+              </TextField>
+              {row.type === 'select' && (
+                <TextField
+                  label="Options (comma separated)"
+                  value={row.optionsText}
+                  onChange={(e) => handleVariableChange(index, 'optionsText', e.target.value)}
+                  size="small"
+                  sx={{ flex: 1, minWidth: 180 }}
+                />
+              )}
+              <TextField
+                label="Default"
+                value={row.default}
+                onChange={(e) => handleVariableChange(index, 'default', e.target.value)}
+                size="small"
+                sx={{ width: 130 }}
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={row.required}
+                    onChange={(e) => handleVariableChange(index, 'required', e.target.checked)}
+                    size="small"
+                  />
+                }
+                label="Required"
+              />
+              <IconButton size="small" onClick={() => removeVariable(index)}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+        </Box>
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={!canSave}
+          startIcon={saving ? <CircularProgress size={16} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PromptTemplateDialog;
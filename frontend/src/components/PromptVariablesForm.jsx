@@ -0,0 +1,86 @@
+import React from 'react';
+
+const fieldStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  fontSize: '13px',
+  color: '#ececf1',
+  backgroundColor: '#40414f',
+  border: '1px solid #565869',
+  borderRadius: '6px',
+  outline: 'none',
+  fontFamily: 'inherit'
+};
+
+// Input form generated from a prompt template's variable schema
+const PromptVariablesForm = ({ variables, values, errors = {}, onChange, disabled }) => {
+  if (!variables || variables.length === 0) return null;
+
+  const renderField = (variable) => {
+    const value = values[variable.name] ?? '';
+    const style = {
+      ...fieldStyle,
+      ...(errors[variable.name] ? { borderColor: '#ef4444' } : {})
+    };
+    const handleChange = (e) => onChange(variable.name, e.target.value);
+
+    if (variable.type === 'select') {
+      return (
+        <select value={value} onChange={handleChange} disabled={disabled} style={style}>
+          {!variable.required && <option value="">—</option>}
+          {variable.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (variable.type === 'textarea') {
+      return (
+        <textarea
+          value={value}
+          onChange={handleChange}
+          placeholder={variable.placeholder}
+          disabled={disabled}
+          rows={2}
+          style={{ ...style, resize: 'vertical' }}
+        />
+      );
+    }
+
+    return (
+      <input
+        type={variable.type === 'number' ? 'number' : 'text'}
+        value={value}
+        onChange={handleChange}
+        placeholder={variable.placeholder || variable.default}
+        disabled={disabled}
+        style={style}
+      />
+    );
+  };
+
+  return (
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+      gap: '8px',
+      marginBottom: '8px'
+    }}>
+      {variables.map(variable => (
+        <label key={variable.name} style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          <span style={{ fontSize: '12px', color: '#8e8ea0' }}>
+            {variable.label}{variable.required && ' *'}
+          </span>
+          {renderField(variable)}
+          {errors[variable.name] && (
+            <span style={{ fontSize: '11px', color: '#ef4444' }}>{errors[variable.name]}</span>
+          )}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default PromptVariablesForm;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Box, Button, Alert } from '@mui/material';
+import { ContentCopy, Download } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+
+// One-time display of two-factor recovery codes, with copy and download
+const RecoveryCodes = ({ codes }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Failed to copy');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose
+        your authenticator app, and they won't be shown again.
+      </Alert>
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(2, 1fr)',
+          gap: 1,
+          p: 2,
+          bgcolor: '#f5f5f5',
+          borderRadius: 1,
+          fontFamily: 'monospace',
+          fontSize: '15px',
+          textAlign: 'center'
+        }}
+      >
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </Box>
+      <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+        <Button size="small" startIcon={<ContentCopy />} onClick={handleCopy}>Copy</Button>
+        <Button size="small" startIcon={<Download />} onClick={handleDownload}>Download</Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default RecoveryCodes;
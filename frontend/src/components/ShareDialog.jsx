@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Box,
+  CircularProgress,
+  IconButton,
+  MenuItem,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Tooltip
+} from '@mui/material';
+import { ContentCopy, LinkOff } from '@mui/icons-material';
+import { shareAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const EXPIRY_OPTIONS = [
+  { value: 'never', label: 'Never expires', days: null },
+  { value: '1', label: '1 day', days: 1 },
+  { value: '7', label: '7 days', days: 7 },
+  { value: '30', label: '30 days', days: 30 }
+];
+
+const STATUS_COLORS = {
+  active: 'success',
+  expired: 'default',
+  revoked: 'error'
+};
+
+const copyLink = (token) => {
+  navigator.clipboard.writeText(shareAPI.getShareUrl(token));
+  toast.success('Link copied to clipboard!');
+};
+
+// Create, copy and revoke read-only links to a conversation or generation.
+// resourceType: 'conversation' or 'generation'
+const ShareDialog = ({ open, onClose, resourceType, resourceId, title }) => {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [expiry, setExpiry] = useState('7');
+
+  const loadShares = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await shareAPI.list(resourceType, resourceId);
+      setShares(result.shares || []);
+    } catch (error) {
+      toast.error(error.error || 'Failed to load share links');
+    } finally {
+      setLoading(false);
+    }
+  }, [resourceType, resourceId]);
+
+  useEffect(() => {
+    if (open && resourceId) {
+      loadShares();
+    }
+  }, [open, resourceId, loadShares]);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const { days } = EXPIRY_OPTIONS.find(option => option.value === expiry);
+      const result = await shareAPI.create(resourceType, resourceId, days);
+      setShares(prev => [result.share, ...prev]);
+      copyLink(result.share.token);
+    } catch (error) {
+      toast.error(error.error || 'Failed to create share link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    try {
+      const result = await shareAPI.revoke(token);
+      setShares(prev => prev.map(share => (share.token === token ? result.share : share)));
+      toast.success('Link revoked');
+    } catch (error) {
+      toast.error(error.error || 'Failed to revoke share link');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Share {title ? `"${title}"` : resourceType}</DialogTitle>
+
+      <DialogContent dividers sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Anyone with the link can read this {resourceType} without signing in.
+          Your name, email and usage details are not shown.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            select
+            size="small"
+            label="Expires"
+            value={expiry}
+            onChange={(e) => setExpiry(e.target.value)}
+            sx={{ minWidth: 160 }}
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={creating || !resourceId}
+            startIcon={creating ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Create link
+          </Button>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : shares.length > 0 && (
+          <List dense disablePadding>
+            {shares.map(share => (
+              <ListItem
+                key={share.token}
+                divider
+                secondaryAction={share.status === 'active' && (
+                  <>
+                    <Tooltip title="Copy link">
+                      <IconButton size="small" onClick={() => copyLink(share.token)}>
+                        <ContentCopy fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Revoke">
+                      <IconButton size="small" onClick={() => handleRevoke(share.token)}>
+                        <LinkOff fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </>
+                )}
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Chip size="small" label={share.status} color={STATUS_COLORS[share.status]} />
+                      <Typography variant="body2" noWrap sx={{ fontFamily: 'monospace' }}>
+                        …/share/{share.token.slice(0, 8)}
+                      </Typography>
+                    </Box>
+                  }
+                  secondary={[
+                    `Created ${new Date(share.createdAt).toLocaleDateString()}`,
+                    share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleString()}` : 'no expiry',
+                    `${share.views} view${share.views === 1 ? '' : 's'}`
+                  ].join(' · ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ShareDialog;
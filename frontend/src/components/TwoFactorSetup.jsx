@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import RecoveryCodes from './RecoveryCodes';
+
+// Set up an authenticator app: scan the QR code, confirm a code, save the recovery codes
+// onStart() resolves to { qrCode, secret }, onConfirm(code) to a result with recoveryCodes;
+// onDone(result) runs once the user has seen the codes
+const TwoFactorSetup = ({ onStart, onConfirm, onDone, onCancel, doneLabel = 'Done' }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  // Each start issues a new secret; StrictMode runs effects twice in development
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    onStart()
+      .then(setSetup)
+      .catch(err => setError(err.error || 'Failed to start two-factor setup'));
+  }, [onStart]);
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      setResult(await onConfirm(code.trim()));
+    } catch (err) {
+      setError(err.error || 'Invalid authentication code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <Box>
+        <RecoveryCodes codes={result.recoveryCodes} />
+        <Button fullWidth variant="contained" sx={{ mt: 2 }} onClick={() => onDone(result)}>
+          {doneLabel}
+        </Button>
+      </Box>
+    );
+  }
+
+  if (!setup) {
+    return error ? (
+      <Alert severity="error">{error}</Alert>
+    ) : (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <form onSubmit={handleConfirm}>
+      <Typography variant="body2" color="text.secondary">
+        Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy.
+      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+        <img src={setup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+      </Box>
+      <Typography variant="body2" color="text.secondary" align="center">
+        Can't scan it? Enter this key instead:
+      </Typography>
+      <Typography align="center" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 2 }}>
+        {setup.secret.match(/.{1,4}/g).join(' ')}
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+
+      <TextField
+        fullWidth
+        required
+        autoFocus
+        label="6-digit code from the app"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        disabled={loading}
+        autoComplete="one-time-code"
+        slotProps={{ htmlInput: { inputMode: 'numeric', maxLength: 7 } }}
+      />
+      <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+        {onCancel && (
+          <Button onClick={onCancel} disabled={loading}>Cancel</Button>
+        )}
+        <Button type="submit" variant="contained" disabled={loading || !code.trim()} sx={{ flex: 1 }}>
+          {loading ? <CircularProgress size={24} color="inherit" /> : 'Verify and enable'}
+        </Button>
+      </Box>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
@@ -1,6 +1,15 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { authAPI, deepseekAPI } from '../services/api';
+import { authAPI, deepseekAPI, conversationAPI } from '../services/api';
+import PromptTemplateDialog from '../components/PromptTemplateDialog';
+import PromptVariablesForm from '../components/PromptVariablesForm';
+import MarkdownRenderer from '../components/MarkdownRenderer';
+import PromptPicker from '../components/PromptPicker';
+import ExportMenu from '../components/ExportMenu';
+import ShareDialog from '../components/ShareDialog';
+import FeedbackReportDialog from '../components/FeedbackReportDialog';
+import HistoryPanel from '../components/HistoryPanel';
+import { SLASH_COMMANDS, parseSlashCommand, getCommandSuggestions, getUsage } from '../utils/slashCommands';
 import toast from 'react-hot-toast';
 import {
   Send,
@@ -33,34 +42,13 @@ import {
   TrendingUp,
   Stars,
   School,
-  BarChart
+  BarChart,
+  Refresh,
+  Stop,
+  Share,
+  Settings
 } from '@mui/icons-material';
 
-// Custom hook for localStorage
-const useLocalStorage = (key, initialValue) => {
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      console.error('Error reading from localStorage:', error);
-      return initialValue;
-    }
-  });
-
-  const setValue = useCallback((value) => {
-    try {
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
-      setStoredValue(valueToStore);
-      localStorage.setItem(key, JSON.stringify(valueToStore));
-    } catch (error) {
-      console.error('Error writing to localStorage:', error);
-    }
-  }, [key, storedValue]);
-
-  return [storedValue, setValue];
-};
-
 // Codeforces API Service
 const codeforcesAPI = {
   async getUserInfo(handle) {
@@ -335,13 +323,43 @@ const formatAIResponse = (text) => {
     .replace(/### (.*?)\n/g, '### $1\n\n') // Add spacing after headers
     .replace(/## (.*?)\n/g, '## $1\n\n') // Add spacing after headers
     .replace(/\n{3,}/g, '\n\n') // Remove excessive newlines
-    .replace(/^- /gm, '• ') // Convert dashes to bullets
     .replace(/^(\d+)\. /gm, '$1. ') // Keep numbered lists
     .trim();
   
   return formatted;
 };
 
+// Markdown table comparing Codeforces profiles (user.info results)
+const buildProfileComparison = (users) => {
+  const row = (label, value) => `| ${label} | ${users.map(value).join(' | ')} |`;
+  return [
+    `## ⚖️ ${users.map(u => u.handle).join(' vs ')}`,
+    '',
+    `| | ${users.map(u => `**${u.handle}**`).join(' | ')} |`,
+    `| --- | ${users.map(() => '---:').join(' | ')} |`,
+    row('Rating', u => u.rating ?? 'Unrated'),
+    row('Max rating', u => u.maxRating ?? '-'),
+    row('Rank', u => u.rank || 'unrated'),
+    row('Max rank', u => u.maxRank || '-'),
+    row('Contribution', u => u.contribution ?? 0),
+    row('Friend of', u => u.friendOfCount ?? 0),
+    row('Registered', u => new Date(u.registrationTimeSeconds * 1000).toLocaleDateString())
+  ].join('\n');
+};
+
+// Plain Markdown transcript of the shown branch
+const conversationToMarkdown = (messages) => {
+  return messages
+    .filter(message => message.id !== 'welcome')
+    .map(message => `### ${message.role === 'user' ? 'You' : 'Assistant'}\n\n${message.content}`)
+    .join('\n\n---\n\n');
+};
+
+// Prompt preselected for new conversations (User.preferences on the server)
+const getDefaultPromptType = () => (
+  authAPI.getCurrentUser()?.preferences?.defaultPromptType || 'general_chat'
+);
+
 // Fallback recommendations generator
 const generateFallbackRecommendations = (handle, userData, analysis) => {
   const userRating = userData.rating || 1200;
@@ -387,6 +405,56 @@ const generateFallbackRecommendations = (handle, userData, analysis) => {
   return response;
 };
 
+// Convert chat messages into the { role, content } history sent to the model
+const toModelHistory = (messages) => {
+  return messages
+    .filter(message => message.id !== 'welcome' && (message.role === 'user' || message.role === 'assistant'))
+    .map(message => ({ role: message.role, content: message.content }));
+};
+
+// Conversations are trees: every message has a parentId and the chat shows
+// the path from the root to the selected leaf. Regenerating or editing a
+// turn adds a sibling instead of overwriting the old one.
+const getActivePath = (messages, leafId) => {
+  const byId = new Map(messages.map(message => [message.id, message]));
+  const path = [];
+  let current = byId.get(leafId);
+  while (current) {
+    path.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return path;
+};
+
+// Write a root-to-leaf path into the tree, keeping every other branch
+const mergePath = (tree, path) => {
+  const linked = path.map((message, index) => {
+    const parentId = index === 0 ? null : path[index - 1].id;
+    return message.parentId === parentId ? message : { ...message, parentId };
+  });
+  const pathById = new Map(linked.map(message => [message.id, message]));
+  const existingIds = new Set(tree.messages.map(message => message.id));
+
+  return {
+    messages: [
+      ...tree.messages.map(message => pathById.get(message.id) || message),
+      ...linked.filter(message => !existingIds.has(message.id))
+    ],
+    leafId: linked.length > 0 ? linked[linked.length - 1].id : null
+  };
+};
+
+// Follow the newest child down from a message to find the end of its branch
+const getLatestLeafId = (messages, messageId) => {
+  let leafId = messageId;
+  let children = messages.filter(message => message.parentId === leafId);
+  while (children.length > 0) {
+    leafId = children[children.length - 1].id;
+    children = messages.filter(message => message.parentId === leafId);
+  }
+  return leafId;
+};
+
 // Simple CSS styles
 const styles = {
   sidebar: {
@@ -502,46 +570,6 @@ const styles = {
     fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
     lineHeight: 1.6,
     fontSize: '15px'
-  },
-  aiHeader: {
-    fontSize: '20px',
-    fontWeight: 'bold',
-    marginTop: '24px',
-    marginBottom: '16px',
-    color: '#ececf1',
-    paddingBottom: '8px',
-    borderBottom: '2px solid #10a37f'
-  },
-  aiSubheader: {
-    fontSize: '18px',
-    fontWeight: '600',
-    marginTop: '20px',
-    marginBottom: '12px',
-    color: '#ececf1'
-  },
-  aiList: {
-    marginLeft: '20px',
-    marginBottom: '16px'
-  },
-  aiListItem: {
-    marginBottom: '8px',
-    display: 'flex',
-    alignItems: 'flex-start'
-  },
-  aiBullet: {
-    color: '#10a37f',
-    marginRight: '8px',
-    fontWeight: 'bold'
-  },
-  aiBold: {
-    fontWeight: 'bold',
-    color: '#ececf1'
-  },
-  aiSeparator: {
-    height: '1px',
-    backgroundColor: '#40414f',
-    margin: '24px 0',
-    width: '100%'
   }
 };
 
@@ -549,169 +577,9 @@ const styles = {
 const AIResponseFormatter = React.memo(({ content }) => {
   if (!content) return null;
 
-  // If content already has markdown-like structure, render it
-  if (content.includes('##') || content.includes('###') || content.includes('- **') || content.includes('1.')) {
-    return (
-      <div style={styles.aiResponse}>
-        {content.split('\n').map((line, index) => {
-          // Handle main headers
-          if (line.startsWith('# ')) {
-            return (
-              <h1 key={index} style={styles.aiHeader}>
-                {line.replace('# ', '')}
-              </h1>
-            );
-          }
-          
-          // Handle subheaders
-          if (line.startsWith('## ')) {
-            return (
-              <h2 key={index} style={{
-                fontSize: '18px',
-                fontWeight: 'bold',
-                marginTop: '20px',
-                marginBottom: '12px',
-                color: '#ececf1',
-                paddingBottom: '4px',
-                borderBottom: '1px solid #40414f'
-              }}>
-                {line.replace('## ', '')}
-              </h2>
-            );
-          }
-          
-          // Handle sub-subheaders
-          if (line.startsWith('### ')) {
-            return (
-              <h3 key={index} style={{
-                fontSize: '16px',
-                fontWeight: '600',
-                marginTop: '16px',
-                marginBottom: '8px',
-                color: '#ececf1'
-              }}>
-                {line.replace('### ', '')}
-              </h3>
-            );
-          }
-          
-          // Handle emoji headers
-          if (line.match(/^[📊🏆📈🎯💡🔗🤖⚡️✨⭐️🎨🚀📚🎮⚙️🔧📱💻🌐🛠️🎪🎭🎨🧩🎲🎯🎪🎭🎨🧩🎲]+/)) {
-            return (
-              <h3 key={index} style={{
-                fontSize: '16px',
-                fontWeight: '600',
-                marginTop: '16px',
-                marginBottom: '8px',
-                color: '#ececf1',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '8px'
-              }}>
-                {line}
-              </h3>
-            );
-          }
-          
-          // Handle bullet points with bold
-          if (line.startsWith('- **') || line.startsWith('• **')) {
-            const text = line.replace(/^[-•]\s+/, '');
-            return (
-              <div key={index} style={styles.aiListItem}>
-                <span style={styles.aiBullet}>•</span>
-                <span dangerouslySetInnerHTML={{
-                  __html: text.replace(/\*\*(.*?)\*\*/g, '<strong style="font-weight: bold; color: #ececf1;">$1</strong>')
-                }} />
-              </div>
-            );
-          }
-          
-          // Handle numbered lists
-          if (line.match(/^\d+\.\s+\*\*/)) {
-            const match = line.match(/^(\d+)\.\s+(.*)/);
-            return (
-              <div key={index} style={styles.aiListItem}>
-                <span style={{
-                  ...styles.aiBullet,
-                  minWidth: '24px'
-                }}>
-                  {match[1]}.
-                </span>
-                <span dangerouslySetInnerHTML={{
-                  __html: match[2].replace(/\*\*(.*?)\*\*/g, '<strong style="font-weight: bold; color: #ececf1;">$1</strong>')
-                }} />
-              </div>
-            );
-          }
-          
-          // Handle regular numbered lists
-          if (line.match(/^\d+\.\s+/)) {
-            const match = line.match(/^(\d+)\.\s+(.*)/);
-            return (
-              <div key={index} style={styles.aiListItem}>
-                <span style={{
-                  ...styles.aiBullet,
-                  minWidth: '24px'
-                }}>
-                  {match[1]}.
-                </span>
-                <span>{match[2]}</span>
-              </div>
-            );
-          }
-          
-          // Handle regular bullet points
-          if (line.startsWith('- ') || line.startsWith('• ')) {
-            return (
-              <div key={index} style={styles.aiListItem}>
-                <span style={styles.aiBullet}>•</span>
-                <span>{line.replace(/^[-•]\s+/, '')}</span>
-              </div>
-            );
-          }
-          
-          // Handle bold text in paragraphs
-          if (line.includes('**')) {
-            return (
-              <p key={index} style={{ marginBottom: '12px' }}>
-                <span dangerouslySetInnerHTML={{
-                  __html: line.replace(/\*\*(.*?)\*\*/g, '<strong style="font-weight: bold; color: #ececf1;">$1</strong>')
-                }} />
-              </p>
-            );
-          }
-          
-          // Handle separator lines
-          if (line.startsWith('---') || line.startsWith('***') || line.startsWith('___')) {
-            return (
-              <hr key={index} style={styles.aiSeparator} />
-            );
-          }
-          
-          // Handle regular paragraphs (non-empty lines)
-          if (line.trim()) {
-            return (
-              <p key={index} style={{ marginBottom: '12px' }}>
-                {line}
-              </p>
-            );
-          }
-          
-          // Handle empty lines as spacing
-          return <div key={index} style={{ height: '12px' }} />;
-        })}
-      </div>
-    );
-  }
-
-  // Simple text formatting for plain responses
   return (
     <div style={styles.aiResponse}>
-      {content.split('\n').map((line, index) => (
-        <p key={index} style={{ marginBottom: '12px' }}>
-          {line}
-        </p>
-      ))}
+      <MarkdownRenderer content={content} />
     </div>
   );
 });
@@ -727,6 +595,15 @@ const Sidebar = React.memo(({
   onSelectConversation, 
   onDeleteConversation,
   onNewChat,
+  myPrompts,
+  activePromptId,
+  onSelectPrompt,
+  onNewPrompt,
+  onEditPrompt,
+  onDeletePrompt,
+  onOpenHistory,
+  onOpenFeedbackReport,
+  onOpenSettings,
   user,
   onLogout,
   isDesktop
@@ -879,6 +756,101 @@ const Sidebar = React.memo(({
           )}
         </div>
 
+        {/* My Prompts */}
+        <div style={{ padding: '8px', borderTop: '1px solid #2e2e2e', maxHeight: '30%', overflowY: 'auto' }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '4px 12px' }}>
+            <span style={{ fontSize: '12px', fontWeight: 600, color: '#8e8ea0', textTransform: 'uppercase' }}>
+              My prompts
+            </span>
+            <button
+              onClick={onNewPrompt}
+              title="New prompt"
+              style={{
+                padding: '4px',
+                border: 'none',
+                background: 'none',
+                color: '#8e8ea0',
+                cursor: 'pointer'
+              }}
+            >
+              <Add style={{ width: '16px', height: '16px' }} />
+            </button>
+          </div>
+          {myPrompts.length === 0 ? (
+            <p style={{ color: '#6e6e80', fontSize: '12px', padding: '4px 12px' }}>
+              Save your own system prompts to reuse them
+            </p>
+          ) : (
+            myPrompts.map((prompt) => (
+              <button
+                key={prompt.id}
+                onClick={() => onSelectPrompt(prompt.id)}
+                style={{
+                  width: '100%',
+                  textAlign: 'left',
+                  padding: '6px 12px',
+                  borderRadius: '8px',
+                  marginBottom: '2px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  border: 'none',
+                  background: prompt.id === activePromptId ? '#2e2e2e' : 'transparent',
+                  color: prompt.id === activePromptId ? '#ececf1' : '#8e8ea0',
+                  cursor: 'pointer'
+                }}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', gap: '10px', minWidth: 0, flex: 1 }}>
+                  <span style={{
+                    width: '8px',
+                    height: '8px',
+                    borderRadius: '50%',
+                    backgroundColor: prompt.color,
+                    flexShrink: 0
+                  }} />
+                  <span style={{ fontSize: '14px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {prompt.name}
+                  </span>
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '2px' }}>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onEditPrompt(prompt);
+                    }}
+                    title="Edit prompt"
+                    style={{
+                      padding: '4px',
+                      border: 'none',
+                      background: 'none',
+                      color: '#8e8ea0',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <Edit style={{ width: '12px', height: '12px' }} />
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDeletePrompt(prompt.id);
+                    }}
+                    title="Delete prompt"
+                    style={{
+                      padding: '4px',
+                      border: 'none',
+                      background: 'none',
+                      color: '#8e8ea0',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <Delete style={{ width: '12px', height: '12px' }} />
+                  </button>
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+
         {/* Footer */}
         <div style={{ padding: '16px', borderTop: '1px solid #2e2e2e' }}>
           <div style={{ marginBottom: '12px' }}>
@@ -894,6 +866,65 @@ const Sidebar = React.memo(({
           </div>
           
           <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            <button
+              onClick={onOpenHistory}
+              style={{
+                width: '100%',
+                textAlign: 'left',
+                padding: '8px 12px',
+                fontSize: '14px',
+                color: '#8e8ea0',
+                border: 'none',
+                background: 'none',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              <AccessTime style={{ width: '16px', height: '16px' }} />
+              Generation history
+            </button>
+            {user?.role === 'admin' && (
+              <button
+                onClick={onOpenFeedbackReport}
+                style={{
+                  width: '100%',
+                  textAlign: 'left',
+                  padding: '8px 12px',
+                  fontSize: '14px',
+                  color: '#8e8ea0',
+                  border: 'none',
+                  background: 'none',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  cursor: 'pointer'
+                }}
+              >
+                <BarChart style={{ width: '16px', height: '16px' }} />
+                Feedback report
+              </button>
+            )}
+            <button
+              onClick={onOpenSettings}
+              style={{
+                width: '100%',
+                textAlign: 'left',
+                padding: '8px 12px',
+                fontSize: '14px',
+                color: '#8e8ea0',
+                border: 'none',
+                background: 'none',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              <Settings style={{ width: '16px', height: '16px' }} />
+              Settings
+            </button>
             <button
               onClick={onLogout}
               style={{
@@ -923,9 +954,187 @@ const Sidebar = React.memo(({
 Sidebar.displayName = 'Sidebar';
 
 // Message Component with AI Response Formatter
-const Message = React.memo(({ message, onCopy, isTyping = false, customAvatar = null }) => {
+// Branch switcher shown on messages that have siblings
+const BranchSwitcher = ({ branch, onSwitch, disabled }) => {
+  const buttonStyle = (enabled) => ({
+    padding: '0 4px',
+    border: 'none',
+    background: 'none',
+    color: enabled ? '#ececf1' : '#565869',
+    cursor: enabled ? 'pointer' : 'default',
+    fontSize: '14px'
+  });
+  const canGoBack = !disabled && branch.index > 0;
+  const canGoForward = !disabled && branch.index < branch.count - 1;
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', fontSize: '12px', color: '#8e8ea0' }}>
+      <button onClick={() => onSwitch(-1)} disabled={!canGoBack} style={buttonStyle(canGoBack)} title="Previous version">
+        ‹
+      </button>
+      <span>{branch.index + 1}/{branch.count}</span>
+      <button onClick={() => onSwitch(1)} disabled={!canGoForward} style={buttonStyle(canGoForward)} title="Next version">
+        ›
+      </button>
+    </div>
+  );
+};
+
+// Optional details asked for after a thumbs up/down; categories match the Generation model
+const FEEDBACK_CATEGORIES = [
+  { id: 'inaccurate', label: 'Inaccurate' },
+  { id: 'too_long', label: 'Too long' },
+  { id: 'too_short', label: 'Too short' },
+  { id: 'unhelpful', label: 'Not helpful' },
+  { id: 'off_topic', label: 'Off topic' },
+  { id: 'formatting', label: 'Formatting' },
+  { id: 'other', label: 'Other' }
+];
+
+const FeedbackForm = ({ rating, onSubmit, onDismiss }) => {
+  const [category, setCategory] = useState('');
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    await onSubmit({ rating, category: category || undefined, comment: comment.trim() || undefined });
+    setSubmitting(false);
+  };
+
+  return (
+    <div style={{
+      marginTop: '8px',
+      padding: '12px',
+      border: '1px solid #40414f',
+      borderRadius: '8px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px'
+    }}>
+      <span style={{ fontSize: '13px', color: '#8e8ea0' }}>
+        {rating === 'up' ? 'What did you like?' : 'What was wrong?'} (optional)
+      </span>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+        {FEEDBACK_CATEGORIES.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setCategory(category === option.id ? '' : option.id)}
+            style={{
+              padding: '2px 10px',
+              borderRadius: '12px',
+              border: `1px solid ${category === option.id ? '#10a37f' : '#565869'}`,
+              background: category === option.id ? 'rgba(16, 163, 127, 0.15)' : 'none',
+              color: '#ececf1',
+              fontSize: '12px',
+              cursor: 'pointer'
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Add a comment"
+        maxLength={1000}
+        rows={2}
+        style={{ ...styles.textarea, width: '100%', boxSizing: 'border-box' }}
+      />
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          onClick={handleSubmit}
+          disabled={submitting || (!category && !comment.trim())}
+          style={{
+            padding: '6px 12px',
+            borderRadius: '6px',
+            border: 'none',
+            backgroundColor: '#10a37f',
+            color: 'white',
+            fontSize: '13px',
+            cursor: 'pointer'
+          }}
+        >
+          Send feedback
+        </button>
+        <button
+          onClick={onDismiss}
+          style={{
+            padding: '6px 12px',
+            borderRadius: '6px',
+            border: '1px solid #565869',
+            background: 'none',
+            color: '#ececf1',
+            fontSize: '13px',
+            cursor: 'pointer'
+          }}
+        >
+          Skip
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const Message = React.memo(({
+  message,
+  onCopy,
+  isTyping = false,
+  customAvatar = null,
+  branchIndex = 0,
+  branchCount = 1,
+  onSwitchBranch,
+  onRegenerate,
+  onEdit,
+  onFeedback,
+  actionsDisabled = false
+}) => {
   const isUser = message.role === 'user';
   const isAI = !isUser;
+  const branch = branchCount > 1 ? { index: branchIndex, count: branchCount } : null;
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  // Rating whose optional details form is open
+  const [feedbackRating, setFeedbackRating] = useState(null);
+  // Only replies saved as a Generation can be rated
+  const canRate = !!(onFeedback && message.generationId);
+
+  const actionButtonStyle = {
+    padding: '6px',
+    border: 'none',
+    background: 'none',
+    color: '#8e8ea0',
+    cursor: 'pointer',
+    transition: 'color 0.2s'
+  };
+
+  const startEditing = () => {
+    setDraft(message.content);
+    setIsEditing(true);
+  };
+
+  // Clicking the selected thumb again removes the rating
+  const handleRate = async (rating) => {
+    const next = message.feedback === rating ? null : { rating };
+    const saved = await onFeedback(message, next);
+    setFeedbackRating(saved && next ? rating : null);
+  };
+
+  const submitFeedbackDetails = async (feedback) => {
+    if (await onFeedback(message, feedback)) {
+      setFeedbackRating(null);
+      toast.success('Thanks for the feedback!');
+    }
+  };
+
+  const submitEdit = () => {
+    if (!draft.trim()) return;
+    setIsEditing(false);
+    if (draft !== message.content) {
+      onEdit(message, draft);
+    }
+  };
 
   if (isTyping) {
     return (
@@ -1029,7 +1238,56 @@ const Message = React.memo(({ message, onCopy, isTyping = false, customAvatar =
 
             {/* Message Content - Use AIResponseFormatter for AI messages */}
             {isAI ? (
-              <AIResponseFormatter content={message.content} />
+              <>
+                <AIResponseFormatter content={message.content} />
+                {message.streaming && <span className="streaming-cursor" />}
+                {message.stopped && (
+                  <div style={{ fontSize: '12px', color: '#8e8ea0', fontStyle: 'italic', marginTop: '8px' }}>
+                    Generation stopped
+                  </div>
+                )}
+              </>
+            ) : isEditing ? (
+              <div>
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  rows={Math.min(Math.max(draft.split('\n').length, 2), 10)}
+                  style={{ ...styles.textarea, width: '100%', boxSizing: 'border-box' }}
+                  autoFocus
+                />
+                <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                  <button
+                    onClick={submitEdit}
+                    disabled={!draft.trim() || actionsDisabled}
+                    style={{
+                      padding: '6px 12px',
+                      borderRadius: '6px',
+                      border: 'none',
+                      backgroundColor: '#10a37f',
+                      color: 'white',
+                      fontSize: '13px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Save &amp; submit
+                  </button>
+                  <button
+                    onClick={() => setIsEditing(false)}
+                    style={{
+                      padding: '6px 12px',
+                      borderRadius: '6px',
+                      border: '1px solid #565869',
+                      background: 'none',
+                      color: '#ececf1',
+                      fontSize: '13px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
             ) : (
               <div style={{ 
                 color: '#ececf1', 
@@ -1042,9 +1300,41 @@ const Message = React.memo(({ message, onCopy, isTyping = false, customAvatar =
               </div>
             )}
 
+            {/* User message actions */}
+            {isUser && !isEditing && (onEdit || branch) && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+                {branch && <BranchSwitcher branch={branch} onSwitch={(direction) => onSwitchBranch(message, direction)} disabled={actionsDisabled} />}
+                {onEdit && (
+                  <button
+                    onClick={startEditing}
+                    disabled={actionsDisabled}
+                    style={actionButtonStyle}
+                    onMouseEnter={(e) => e.currentTarget.style.color = '#ececf1'}
+                    onMouseLeave={(e) => e.currentTarget.style.color = '#8e8ea0'}
+                    title="Edit and resend"
+                  >
+                    <Edit style={{ width: '16px', height: '16px' }} />
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Actions */}
-            {isAI && (
+            {isAI && !message.streaming && (
               <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px' }}>
+                {branch && <BranchSwitcher branch={branch} onSwitch={(direction) => onSwitchBranch(message, direction)} disabled={actionsDisabled} />}
+                {onRegenerate && (
+                  <button
+                    onClick={() => onRegenerate(message)}
+                    disabled={actionsDisabled}
+                    style={actionButtonStyle}
+                    onMouseEnter={(e) => e.currentTarget.style.color = '#ececf1'}
+                    onMouseLeave={(e) => e.currentTarget.style.color = '#8e8ea0'}
+                    title="Regenerate"
+                  >
+                    <Refresh style={{ width: '16px', height: '16px' }} />
+                  </button>
+                )}
                 <button
                   onClick={() => onCopy(message.content)}
                   style={{
@@ -1061,38 +1351,35 @@ const Message = React.memo(({ message, onCopy, isTyping = false, customAvatar =
                 >
                   <ContentCopy style={{ width: '16px', height: '16px' }} />
                 </button>
-                <button
-                  style={{
-                    padding: '6px',
-                    border: 'none',
-                    background: 'none',
-                    color: '#8e8ea0',
-                    cursor: 'pointer',
-                    transition: 'color 0.2s'
-                  }}
-                  onMouseEnter={(e) => e.currentTarget.style.color = '#ececf1'}
-                  onMouseLeave={(e) => e.currentTarget.style.color = '#8e8ea0'}
-                  title="Good response"
-                >
-                  <ThumbUp style={{ width: '16px', height: '16px' }} />
-                </button>
-                <button
-                  style={{
-                    padding: '6px',
-                    border: 'none',
-                    background: 'none',
-                    color: '#8e8ea0',
-                    cursor: 'pointer',
-                    transition: 'color 0.2s'
-                  }}
-                  onMouseEnter={(e) => e.currentTarget.style.color = '#ececf1'}
-                  onMouseLeave={(e) => e.currentTarget.style.color = '#8e8ea0'}
-                  title="Bad response"
-                >
-                  <ThumbDown style={{ width: '16px', height: '16px' }} />
-                </button>
+                {canRate && [
+                  { rating: 'up', icon: <ThumbUp style={{ width: '16px', height: '16px' }} />, title: 'Good response', activeColor: '#10a37f' },
+                  { rating: 'down', icon: <ThumbDown style={{ width: '16px', height: '16px' }} />, title: 'Bad response', activeColor: '#ef4444' }
+                ].map(({ rating, icon, title, activeColor }) => {
+                  const color = message.feedback === rating ? activeColor : '#8e8ea0';
+                  return (
+                    <button
+                      key={rating}
+                      onClick={() => handleRate(rating)}
+                      style={{ ...actionButtonStyle, color }}
+                      onMouseEnter={(e) => e.currentTarget.style.color = message.feedback === rating ? activeColor : '#ececf1'}
+                      onMouseLeave={(e) => e.currentTarget.style.color = color}
+                      title={message.feedback === rating ? 'Remove rating' : title}
+                    >
+                      {icon}
+                    </button>
+                  );
+                })}
               </div>
             )}
+
+            {feedbackRating && (
+              <FeedbackForm
+                key={feedbackRating}
+                rating={feedbackRating}
+                onSubmit={submitFeedbackDetails}
+                onDismiss={() => setFeedbackRating(null)}
+              />
+            )}
           </div>
         </div>
       </div>
@@ -1239,21 +1526,69 @@ CodeforcesUserInfo.displayName = 'CodeforcesUserInfo';
 const InputArea = React.memo(({ 
   value, 
   onChange, 
+  onValueChange,
   onSend, 
   loading, 
   placeholder,
-  inputRef
+  inputRef,
+  prompts,
+  promptCategories,
+  activePromptType,
+  activePrompt,
+  defaultPromptType,
+  onSelectPromptType,
+  onSetDefaultPromptType,
+  promptVariables,
+  variableErrors,
+  onVariableChange,
+  onStop
 }) => {
   const [rows, setRows] = useState(1);
+  // Highlighted slash-command suggestion, and the input the list was dismissed for
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [dismissedFor, setDismissedFor] = useState(null);
+
+  const suggestions = value === dismissedFor ? [] : getCommandSuggestions(value);
+  const highlighted = suggestions[Math.min(activeSuggestion, suggestions.length - 1)];
+  // Usage hint once a command name has been typed
+  const typedCommand = /^\/(\w+)\s/.exec(value);
+  const commandHint = typedCommand && SLASH_COMMANDS.find(command => command.name === typedCommand[1].toLowerCase());
 
   const handleChange = (e) => {
     const textarea = e.target;
     const newRows = Math.min(Math.max(textarea.value.split('\n').length, 1), 6);
     setRows(newRows);
+    setActiveSuggestion(0);
     onChange(e);
   };
 
+  const completeCommand = (command) => {
+    onValueChange(command.args.length > 0 ? `/${command.name} ` : `/${command.name}`);
+    setDismissedFor(`/${command.name}`);
+    inputRef.current?.focus();
+  };
+
   const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : suggestions.length - 1;
+        setActiveSuggestion((suggestions.indexOf(highlighted) + step) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setDismissedFor(value);
+        return;
+      }
+      // Enter runs a complete argument-less command; otherwise it completes the name
+      const isComplete = value === `/${highlighted.name}` && highlighted.args.length === 0;
+      if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && !isComplete)) {
+        e.preventDefault();
+        completeCommand(highlighted);
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey && !loading) {
       e.preventDefault();
       onSend();
@@ -1263,10 +1598,75 @@ const InputArea = React.memo(({
   return (
    <div style={styles.inputArea}>
     <div style={{ maxWidth: '600px', margin: '0 auto' }}>
+    <PromptPicker
+      prompts={prompts}
+      categories={promptCategories}
+      value={activePromptType}
+      defaultPromptType={defaultPromptType}
+      onChange={onSelectPromptType}
+      onSetDefault={onSetDefaultPromptType}
+      disabled={loading}
+    />
+    {activePrompt && (
+      <PromptVariablesForm
+        variables={activePrompt.variables}
+        values={promptVariables}
+        errors={variableErrors}
+        onChange={onVariableChange}
+        disabled={loading}
+      />
+    )}
+    {commandHint && (
+      <div style={{ marginBottom: '6px', fontSize: '12px', color: '#8e8ea0' }}>
+        <code style={{ color: '#ececf1' }}>{getUsage(commandHint)}</code> {commandHint.description}
+      </div>
+    )}
     <div style={{ 
   position: 'relative',
   width: '100%'
 }}>
+  {suggestions.length > 0 && (
+    <div style={{
+      position: 'absolute',
+      bottom: '100%',
+      left: 0,
+      right: 0,
+      marginBottom: '6px',
+      padding: '4px',
+      borderRadius: '8px',
+      border: '1px solid #565869',
+      backgroundColor: '#202123',
+      zIndex: 20
+    }}>
+      {suggestions.map(command => (
+        <button
+          key={command.name}
+          onMouseDown={(e) => {
+            // Keep focus in the textarea
+            e.preventDefault();
+            completeCommand(command);
+          }}
+          style={{
+            width: '100%',
+            display: 'flex',
+            alignItems: 'baseline',
+            gap: '12px',
+            padding: '6px 10px',
+            borderRadius: '6px',
+            border: 'none',
+            textAlign: 'left',
+            backgroundColor: command === highlighted ? '#2e2e2e' : 'transparent',
+            color: '#ececf1',
+            fontSize: '13px',
+            cursor: 'pointer'
+          }}
+        >
+          <code>{getUsage(command)}</code>
+          <span style={{ color: '#8e8ea0', fontSize: '12px' }}>{command.description}</span>
+        </button>
+      ))}
+    </div>
+  )}
   <textarea
     ref={inputRef}
     value={value}
@@ -1284,6 +1684,31 @@ const InputArea = React.memo(({
       maxHeight: '200px' // Limit maximum height
     }}
   />
+  {onStop ? (
+  <button
+    onClick={onStop}
+    title="Stop generating"
+    style={{
+      position: 'absolute',
+      right: '8px',
+      top: '50%',
+      transform: 'translateY(-50%)',
+      width: '28px',
+      height: '28px',
+      borderRadius: '6px',
+      border: 'none',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#ececf1',
+      color: '#343541',
+      cursor: 'pointer',
+      zIndex: 10
+    }}
+  >
+    <Stop style={{ width: '16px', height: '16px' }} />
+  </button>
+  ) : (
   <button
     onClick={onSend}
     disabled={loading || !value.trim()}
@@ -1319,6 +1744,7 @@ const InputArea = React.memo(({
       <Send style={{ width: '14px', height: '14px' }} />
     )}
   </button>
+  )}
 </div>
         
         <p style={{ 
@@ -1398,8 +1824,9 @@ const Dashboard = () => {
   const [userInput, setUserInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [user, setUser] = useState(null);
-  const [conversation, setConversation] = useState([]);
-  const [conversationsHistory, setConversationsHistory] = useLocalStorage('deepseek_conversations', []);
+  // Every message of every branch plus the selected leaf; see getActivePath
+  const [messageTree, setMessageTree] = useState({ messages: [], leafId: null });
+  const [conversationsHistory, setConversationsHistory] = useState([]);
   const [currentConversationId, setCurrentConversationId] = useState(null);
   const [isTyping, setIsTyping] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -1408,9 +1835,33 @@ const Dashboard = () => {
   const [codeforcesAnalysis, setCodeforcesAnalysis] = useState(null);
   const [showUserCard, setShowUserCard] = useState(false);
   const [pendingAnalysis, setPendingAnalysis] = useState(null);
+  const [myPrompts, setMyPrompts] = useState([]);
+  // Every template the user can chat with (built-in and private), from /prompts
+  const [prompts, setPrompts] = useState([]);
+  const [promptCategories, setPromptCategories] = useState([]);
+  // Template used for new messages; remembered per conversation
+  const [activePromptType, setActivePromptType] = useState(getDefaultPromptType);
+  const [defaultPromptType, setDefaultPromptType] = useState(getDefaultPromptType);
+  const [promptDialog, setPromptDialog] = useState({ open: false, prompt: null, key: 0 });
+  // Values for the active template's {{variables}}, keyed by variable name
+  const [promptVariables, setPromptVariables] = useState({});
+  const [variableErrors, setVariableErrors] = useState({});
+  // Set while a streamed reply can be cancelled with the Stop button
+  const [canStop, setCanStop] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
+  const [feedbackReportOpen, setFeedbackReportOpen] = useState(false);
   
   const messagesContainerRef = useRef(null);
   const inputRef = useRef(null);
+  // The conversation being edited; its id is filled in once the server creates it
+  const sessionRef = useRef({ id: null });
+  // Saves run one at a time so a new conversation is only created once
+  const saveQueueRef = useRef(Promise.resolve());
+  // Latest tree, readable synchronously by handlers that save right after updating it
+  const treeRef = useRef(messageTree);
+  const promptTypeRef = useRef(activePromptType);
+  const abortControllerRef = useRef(null);
   const navigate = useNavigate();
 
   // Check if desktop on mount and resize
@@ -1439,6 +1890,9 @@ const Dashboard = () => {
     }
     setUser(currentUser);
     startNewConversation();
+    loadConversations();
+    loadPrompts();
+    loadMyPrompts();
   }, [navigate]);
 
   useEffect(() => {
@@ -1447,14 +1901,63 @@ const Dashboard = () => {
     }
   }, [showUserCard]); // Scroll to top when user card appears
 
+  // The branch being shown
+  const conversation = useMemo(
+    () => getActivePath(messageTree.messages, messageTree.leafId),
+    [messageTree]
+  );
+
+  const updateTree = useCallback((tree) => {
+    treeRef.current = tree;
+    setMessageTree(tree);
+  }, []);
+
+  // Replace the shown branch (array or updater function); other branches are kept
+  const setConversation = useCallback((next) => {
+    const tree = treeRef.current;
+    const path = typeof next === 'function' ? next(getActivePath(tree.messages, tree.leafId)) : next;
+    updateTree(mergePath(tree, path));
+  }, [updateTree]);
+
+  const activePrompt = useMemo(
+    () => prompts.find(prompt => prompt.id === activePromptType) || null,
+    [prompts, activePromptType]
+  );
+
+  // Template defaults, overridden by whatever the user typed
+  const variableValues = useMemo(() => ({
+    ...Object.fromEntries((activePrompt?.variables || []).map(variable => [variable.name, variable.default || ''])),
+    ...promptVariables
+  }), [activePrompt, promptVariables]);
+
+  // Children of each message, used for the branch switcher
+  const childrenByParent = useMemo(() => {
+    const children = new Map();
+    messageTree.messages.forEach((message) => {
+      const siblings = children.get(message.parentId) || [];
+      siblings.push(message.id);
+      children.set(message.parentId, siblings);
+    });
+    return children;
+  }, [messageTree]);
+
   // Functions
+  const selectPromptType = useCallback((promptType) => {
+    promptTypeRef.current = promptType;
+    setActivePromptType(promptType);
+    setPromptVariables({});
+    setVariableErrors({});
+  }, []);
+
   const startNewConversation = useCallback(() => {
-    const newConversationId = Date.now().toString();
-    setCurrentConversationId(newConversationId);
+    sessionRef.current = { id: null };
+    setCurrentConversationId(null);
+    updateTree({ messages: [], leafId: null });
+    selectPromptType(getDefaultPromptType());
     setConversation([{
       id: 'welcome',
       role: 'assistant',
-      content: '## 👋 Hello! I\'m Codeforces AI Assistant\n\nI can help you analyze Codeforces profiles and provide personalized recommendations.\n\n**To get started:**\n• Type "cf [handle]" to search for a user (e.g., "cf tourist")\n• Ask me anything about competitive programming\n• Get tips to improve your rating\n\nLet\'s analyze your first Codeforces profile! 🚀',
+      content: '## 👋 Hello! I\'m Codeforces AI Assistant\n\nI can help you analyze Codeforces profiles and provide personalized recommendations.\n\n**To get started:**\n- Type `/cf [handle]` to search for a user (e.g., `/cf tourist`)\n- Ask me anything about competitive programming\n- Get tips to improve your rating\n- Type `/help` to see every command\n\nLet\'s analyze your first Codeforces profile! 🚀',
       timestamp: new Date().toISOString()
     }]);
     
@@ -1467,13 +1970,124 @@ const Dashboard = () => {
     setTimeout(() => {
       inputRef.current?.focus();
     }, 100);
+  }, [updateTree, setConversation, selectPromptType]);
+
+  const loadPrompts = useCallback(async () => {
+    try {
+      const result = await deepseekAPI.getPrompts();
+      if (result.success) {
+        setPrompts(result.prompts);
+        setPromptCategories(result.categories);
+      }
+    } catch (error) {
+      console.error('Failed to load prompts:', error);
+    }
   }, []);
 
-  const loadConversation = useCallback((conversationId) => {
-    const conversation = conversationsHistory.find(c => c.id === conversationId);
-    if (conversation) {
+  const loadMyPrompts = useCallback(async () => {
+    try {
+      const result = await deepseekAPI.getMyPrompts();
+      if (result.success) {
+        setMyPrompts(result.prompts);
+      }
+    } catch (error) {
+      console.error('Failed to load prompts:', error);
+    }
+  }, []);
+
+  // Pick the template for this conversation and remember it on the server
+  const handleSelectPromptType = useCallback((promptType) => {
+    selectPromptType(promptType);
+
+    const session = sessionRef.current;
+    if (!session.id) return;
+    saveQueueRef.current = saveQueueRef.current.then(async () => {
+      try {
+        await conversationAPI.update(session.id, { promptType });
+      } catch (error) {
+        console.error('Failed to save prompt choice:', error);
+      }
+    });
+  }, [selectPromptType]);
+
+  const handleSetDefaultPromptType = useCallback(async (promptType) => {
+    try {
+      const result = await authAPI.updatePreferences({ defaultPromptType: promptType });
+      if (result.success) {
+        setDefaultPromptType(result.preferences.defaultPromptType);
+        toast.success('Default prompt updated');
+      }
+    } catch (error) {
+      toast.error(error.error || 'Failed to update default prompt');
+    }
+  }, []);
+
+  const handleVariableChange = useCallback((name, value) => {
+    setPromptVariables(prev => ({ ...prev, [name]: value }));
+    setVariableErrors(prev => ({ ...prev, [name]: undefined }));
+  }, []);
+
+  const openPromptDialog = useCallback((prompt = null) => {
+    setPromptDialog(prev => ({ open: true, prompt, key: prev.key + 1 }));
+  }, []);
+
+  const handlePromptSaved = useCallback((saved) => {
+    setMyPrompts(prev => [saved, ...prev.filter(p => p.id !== saved.id)]);
+    loadPrompts();
+    handleSelectPromptType(saved.id);
+    setPromptDialog(prev => ({ ...prev, open: false }));
+  }, [loadPrompts, handleSelectPromptType]);
+
+  const handleDeletePrompt = useCallback(async (promptId) => {
+    try {
+      await deepseekAPI.deleteMyPrompt(promptId);
+    } catch (error) {
+      toast.error(error.error || 'Failed to delete prompt');
+      return;
+    }
+
+    setMyPrompts(prev => prev.filter(p => p.id !== promptId));
+    setPrompts(prev => prev.filter(p => p.id !== promptId));
+    if (promptTypeRef.current === promptId) {
+      handleSelectPromptType('general_chat');
+    }
+    toast.success('Prompt deleted');
+  }, [handleSelectPromptType]);
+
+  const loadConversations = useCallback(async () => {
+    // Move chats from older browser-only versions to the server first
+    try {
+      const importResult = await conversationAPI.importLocal();
+      if (importResult.imported > 0) {
+        toast.success(`Imported ${importResult.imported} saved conversations`);
+      }
+    } catch (error) {
+      console.error('Failed to import local conversations:', error);
+    }
+
+    try {
+      const result = await conversationAPI.list();
+      if (result.success) {
+        setConversationsHistory(result.conversations);
+      }
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+      toast.error('Failed to load conversations');
+    }
+  }, []);
+
+  const loadConversation = useCallback(async (conversationId) => {
+    try {
+      const result = await conversationAPI.get(conversationId);
+      if (!result.success) return;
+
+      sessionRef.current = { id: conversationId };
       setCurrentConversationId(conversationId);
-      setConversation(conversation.messages);
+      updateTree({
+        messages: result.conversation.messages,
+        leafId: result.conversation.currentLeafId
+      });
+      selectPromptType(result.conversation.promptType || getDefaultPromptType());
       // Close sidebar on mobile when selecting conversation
       if (!isDesktop) {
         setSidebarOpen(false);
@@ -1481,25 +2095,50 @@ const Dashboard = () => {
       setTimeout(() => {
         inputRef.current?.focus();
       }, 100);
+    } catch (error) {
+      console.error('Failed to load conversation:', error);
+      toast.error(error.error || 'Failed to load conversation');
     }
-  }, [conversationsHistory, isDesktop]);
-
-  const saveCurrentConversation = useCallback(() => {
-    if (conversation.length <= 1) return;
-    
-    const updatedHistory = conversationsHistory.filter(c => c.id !== currentConversationId);
-    const conversationToSave = {
-      id: currentConversationId,
-      title: conversation[1]?.content?.substring(0, 50) + (conversation[1]?.content?.length > 50 ? '...' : '') || 'New Conversation',
-      messages: conversation,
-      lastUpdated: new Date().toISOString()
+  }, [isDesktop, updateTree, selectPromptType]);
+
+  // Save the whole tree (all branches) and the selected leaf
+  const persistConversation = useCallback(() => {
+    const tree = treeRef.current;
+    if (tree.messages.length <= 1) return;
+
+    const session = sessionRef.current;
+    const payload = {
+      messages: tree.messages.map((message) => {
+        const { streaming: _streaming, ...stored } = message;
+        return stored;
+      }),
+      currentLeafId: tree.leafId,
+      promptType: promptTypeRef.current
     };
-    
-    const newHistory = [conversationToSave, ...updatedHistory].slice(0, 50);
-    setConversationsHistory(newHistory);
-  }, [conversation, currentConversationId, conversationsHistory, setConversationsHistory]);
 
-  const fetchCodeforcesUser = useCallback(async (handle) => {
+    saveQueueRef.current = saveQueueRef.current.then(async () => {
+      try {
+        const result = session.id
+          ? await conversationAPI.update(session.id, payload)
+          : await conversationAPI.create(payload);
+        if (!result.success) return;
+
+        const { messages: _messages, ...summary } = result.conversation;
+        session.id = summary.id;
+        setConversationsHistory(prev => [summary, ...prev.filter(c => c.id !== summary.id)]);
+
+        // The user may have switched conversations while this was saving
+        if (sessionRef.current === session) {
+          setCurrentConversationId(summary.id);
+        }
+      } catch (error) {
+        console.error('Failed to save conversation:', error);
+        toast.error('Failed to save conversation');
+      }
+    });
+  }, []);
+
+  const fetchCodeforcesUser = useCallback(async (handle, baseConversation) => {
     setLoading(true);
     setIsTyping(true);
     
@@ -1509,7 +2148,7 @@ const Dashboard = () => {
       
       if (!userInfo.success) {
         toast.error(`Failed to fetch user: ${userInfo.error}`);
-        setConversation(prev => [...prev, {
+        setConversation([...baseConversation, {
           id: Date.now().toString(),
           role: 'assistant',
           content: `## ❌ User Not Found\n\nSorry, I couldn't find Codeforces user **"${handle}"**.\n\n**Error:** ${userInfo.error}\n\nPlease check the handle and try again.`,
@@ -1523,7 +2162,7 @@ const Dashboard = () => {
       
       if (!submissions.success) {
         toast.error(`Failed to fetch submissions: ${submissions.error}`);
-        setConversation(prev => [...prev, {
+        setConversation([...baseConversation, {
           id: Date.now().toString(),
           role: 'assistant',
           content: `## ⚠️ Limited Analysis\n\nFound user **"${handle}"** but couldn't fetch submission history.\n\n**Error:** ${submissions.error}\n\nYou can still see basic user info above.`,
@@ -1585,9 +2224,9 @@ const Dashboard = () => {
         assistantMessageContent += `- **Monthly:** Aim for **${userRating + 100}** rating\n\n`;
         
         assistantMessageContent += `### 💡 Pro Tips\n`;
-        assistantMessageContent += `• Practice virtual contests to improve speed\n`;
-        assistantMessageContent += `• Focus on problem-solving patterns, not just solutions\n`;
-        assistantMessageContent += `• Join Codeforces Edu for structured learning\n`;
+        assistantMessageContent += `- Practice virtual contests to improve speed\n`;
+        assistantMessageContent += `- Focus on problem-solving patterns, not just solutions\n`;
+        assistantMessageContent += `- Join Codeforces Edu for structured learning\n`;
         
         toast.info('Using fallback recommendations');
       }
@@ -1600,11 +2239,16 @@ const Dashboard = () => {
         id: Date.now().toString(),
         role: 'assistant',
         content: assistantMessageContent,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        promptType: 'codeforces_analysis',
+        generationId: aiResult.generationId,
+        mode: aiResult.mode,
+        tokensUsed: aiResult.tokens
       };
       
-      setConversation(prev => [...prev, assistantMessage]);
-      saveCurrentConversation();
+      const finalConversation = [...baseConversation, assistantMessage];
+      setConversation(finalConversation);
+      persistConversation();
       
     } catch (error) {
       console.error('Codeforces fetch error:', error);
@@ -1618,50 +2262,156 @@ const Dashboard = () => {
         timestamp: new Date().toISOString()
       };
       
-      setConversation(prev => [...prev, errorMessage]);
+      setConversation([...baseConversation, errorMessage]);
       
     } finally {
       setLoading(false);
       setIsTyping(false);
     }
-  }, [saveCurrentConversation]);
+  }, [persistConversation, setConversation]);
 
-  const handleSendMessage = useCallback(async () => {
-    if (!userInput.trim() || loading) return;
+  const compareCodeforcesUsers = useCallback(async (handles, baseConversation) => {
+    setLoading(true);
+    setIsTyping(true);
 
-    const userMessage = {
-      id: Date.now().toString(),
-      role: 'user',
-      content: userInput,
-      timestamp: new Date().toISOString()
-    };
+    try {
+      const results = await Promise.all(handles.map(handle => codeforcesAPI.getUserInfo(handle)));
+      const failedIndex = results.findIndex(result => !result.success);
 
-    const updatedConversation = [...conversation, userMessage];
-    setConversation(updatedConversation);
-    
-    // Check if it's a Codeforces search request
-    const lowerInput = userInput.toLowerCase().trim();
-    
-    if (lowerInput.startsWith('cf ') && lowerInput.length > 3) {
-      const handle = userInput.substring(3).trim();
-      setUserInput('');
-      
+      const content = failedIndex === -1
+        ? buildProfileComparison(results.map(result => result.data))
+        : `## ❌ User Not Found\n\nSorry, I couldn't load Codeforces user **"${handles[failedIndex]}"**.\n\n**Error:** ${results[failedIndex].error}`;
+
+      setConversation([...baseConversation, {
+        id: Date.now().toString(),
+        role: 'assistant',
+        content,
+        timestamp: new Date().toISOString()
+      }]);
+      persistConversation();
+    } finally {
+      setLoading(false);
+      setIsTyping(false);
+    }
+  }, [persistConversation, setConversation]);
+
+  const handleNewChat = useCallback(() => {
+    setCodeforcesUser(null);
+    setCodeforcesAnalysis(null);
+    setShowUserCard(false);
+    startNewConversation();
+  }, [startNewConversation]);
+
+  // Saved conversations are rendered by the server (any format); a chat that
+  // never reached the server can still be downloaded as Markdown
+  const exportConversation = useCallback(async (format = 'markdown') => {
+    const path = getActivePath(treeRef.current.messages, treeRef.current.leafId);
+    if (!path.some(message => message.id !== 'welcome')) {
+      throw new Error('Nothing to export yet');
+    }
+
+    // Let pending saves finish so the export includes the latest messages
+    await saveQueueRef.current;
+    if (sessionRef.current.id) {
+      try {
+        const result = await conversationAPI.exportFile(sessionRef.current.id, format);
+        toast.success(`Exported ${result.filename}`);
+      } catch (error) {
+        throw new Error(error.error || 'Failed to export conversation');
+      }
+      return;
+    }
+
+    if (format !== 'markdown') {
+      throw new Error('This conversation is not saved yet; only Markdown export is available');
+    }
+
+    const blob = new Blob([conversationToMarkdown(path)], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `conversation-${new Date().toISOString().slice(0, 10)}.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, []);
+
+  // What slash commands can do; path is the branch the command was typed in
+  const createCommandContext = useCallback((path) => ({
+    analyzeCodeforcesUser: (handle) => {
       // Clear previous Codeforces data and hide card
       setCodeforcesUser(null);
       setCodeforcesAnalysis(null);
       setShowUserCard(false);
       setPendingAnalysis(null);
-      
-      await fetchCodeforcesUser(handle);
+      return fetchCodeforcesUser(handle, path);
+    },
+    compareCodeforcesUsers: (handles) => compareCodeforcesUsers(handles, path),
+    reply: (content) => {
+      setConversation([...path, {
+        id: Date.now().toString(),
+        role: 'assistant',
+        content,
+        timestamp: new Date().toISOString()
+      }]);
+      persistConversation();
+    },
+    selectPromptType: (promptType) => {
+      const prompt = prompts.find(p => p.id === promptType);
+      if (!prompt) {
+        throw new Error(`Unknown prompt "${promptType}"`);
+      }
+      handleSelectPromptType(promptType);
+      toast.success(`Using ${prompt.name}`);
+    },
+    exportConversation,
+    clearConversation: handleNewChat
+  }), [fetchCodeforcesUser, compareCodeforcesUsers, setConversation, persistConversation, prompts, handleSelectPromptType, exportConversation, handleNewChat]);
+
+  // Answer the last (user) message of path. previousTree is restored if the
+  // server rejects the template variables, so nothing half-sent is left behind.
+  const generateReply = useCallback(async (path, previousTree) => {
+    const userMessage = path[path.length - 1];
+    const history = path.slice(0, -1);
+    
+    // Commands such as /cf are answered locally rather than by the model
+    const parsed = parseSlashCommand(userMessage.content);
+    if (parsed?.command?.inConversation && !parsed.error) {
+      await parsed.command.run(createCommandContext(path), parsed.args);
       return;
     }
     
-    setUserInput('');
     setIsTyping(true);
     setLoading(true);
 
+    const assistantId = (Date.now() + 1).toString();
+    let streamedContent = '';
+    const promptType = activePromptType;
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setCanStop(true);
+
     try {
-      const result = await deepseekAPI.generate('general_chat', userInput);
+      const result = await deepseekAPI.generateStream(promptType, userMessage.content, {
+        messages: toModelHistory(history),
+        variables: activePrompt?.variables?.length ? variableValues : undefined,
+        signal: controller.signal,
+        onDelta: (text) => {
+          streamedContent += text;
+          setIsTyping(false);
+          setConversation(prev => {
+            if (!prev.some(m => m.id === assistantId)) {
+              return [...prev, {
+                id: assistantId,
+                role: 'assistant',
+                content: streamedContent,
+                timestamp: new Date().toISOString(),
+                streaming: true
+              }];
+            }
+            return prev.map(m => m.id === assistantId ? { ...m, content: streamedContent } : m);
+          });
+        }
+      });
       
       let assistantContent = '';
       if (result.success) {
@@ -1675,14 +2425,17 @@ const Dashboard = () => {
       }
       
       const assistantMessage = {
-        id: (Date.now() + 1).toString(),
+        id: assistantId,
         role: 'assistant',
         content: assistantContent,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        promptType,
+        generationId: result.generationId,
+        mode: result.mode,
+        tokensUsed: result.tokens
       };
       
-      const finalConversation = [...updatedConversation, assistantMessage];
-      setConversation(finalConversation);
+      setConversation([...path, assistantMessage]);
       
       if (result.success) {
         toast.success('Response received');
@@ -1690,31 +2443,144 @@ const Dashboard = () => {
         toast.error('Failed to get response');
       }
       
-      saveCurrentConversation();
+      persistConversation();
     } catch (error) {
+      // Stopped by the user: keep whatever arrived (the server saves it as stopped)
+      if (controller.signal.aborted) {
+        setConversation([...path, {
+          id: assistantId,
+          role: 'assistant',
+          content: streamedContent,
+          timestamp: new Date().toISOString(),
+          promptType,
+          stopped: true
+        }]);
+        toast('Generation stopped');
+        persistConversation();
+        return;
+      }
+
+      // The template's variables were rejected; let the user fix the form and resend
+      if (error.fields) {
+        updateTree(previousTree);
+        if (!previousTree.messages.some(m => m.id === userMessage.id)) {
+          setUserInput(userMessage.content);
+        }
+        setVariableErrors(Object.fromEntries(error.fields.map(field => [field.name, field.error])));
+        toast.error(error.error);
+        return;
+      }
+
       console.error('Chat error:', error);
       toast.error('Network error. Please try again.');
       
-      // Fallback response
+      // Fallback response (replaces any partially streamed text)
       const fallbackResponse = {
-        id: (Date.now() + 1).toString(),
+        id: assistantId,
         role: 'assistant',
-        content: `## ⚠️ Service Unavailable\n\nI received your message: "${userInput}".\n\nThe AI service might be temporarily unavailable.\n\n**For Codeforces analysis, try typing:**\n• "cf [username]" (e.g., "cf tourist")\n• "cf tourist" - Analyze a top competitor\n• "cf [your-handle]" - Analyze your own profile`,
+        content: `## ⚠️ Service Unavailable\n\nI received your message: "${userMessage.content}".\n\nThe AI service might be temporarily unavailable.\n\n**For Codeforces analysis, try typing:**\n- \`/cf [username]\` (e.g., \`/cf tourist\`)\n- \`/cf tourist\` - Analyze a top competitor\n- \`/cf [your-handle]\` - Analyze your own profile`,
         timestamp: new Date().toISOString()
       };
       
-      const finalConversation = [...updatedConversation, fallbackResponse];
-      setConversation(finalConversation);
-      saveCurrentConversation();
+      setConversation([...path, fallbackResponse]);
+      persistConversation();
     } finally {
+      abortControllerRef.current = null;
+      setCanStop(false);
       setIsTyping(false);
       setLoading(false);
     }
-  }, [userInput, loading, conversation, saveCurrentConversation, fetchCodeforcesUser]);
+  }, [activePromptType, activePrompt, variableValues, persistConversation, createCommandContext, setConversation, updateTree]);
+
+  const handleSendMessage = useCallback(async () => {
+    if (!userInput.trim() || loading) return;
+
+    const parsed = parseSlashCommand(userInput);
+    if (parsed?.error) {
+      toast.error(parsed.error);
+      return;
+    }
+
+    // Action commands run here; conversational ones are answered by generateReply
+    if (parsed && !parsed.command.inConversation) {
+      try {
+        await parsed.command.run(createCommandContext(conversation), parsed.args);
+        setUserInput('');
+      } catch (error) {
+        toast.error(error.message);
+      }
+      return;
+    }
+
+    const userMessage = {
+      id: Date.now().toString(),
+      role: 'user',
+      content: userInput,
+      timestamp: new Date().toISOString()
+    };
+
+    const previousTree = treeRef.current;
+    const updatedConversation = [...conversation, userMessage];
+    setConversation(updatedConversation);
+    setUserInput('');
+
+    await generateReply(updatedConversation, previousTree);
+  }, [userInput, loading, conversation, setConversation, generateReply, createCommandContext]);
+
+  // Answer the same user message again as a new sibling branch
+  const handleRegenerate = useCallback(async (message) => {
+    if (loading) return;
+
+    const index = conversation.findIndex(m => m.id === message.id);
+    const path = conversation.slice(0, index);
+    if (path[path.length - 1]?.role !== 'user') return;
+
+    const previousTree = treeRef.current;
+    setConversation(path);
+    await generateReply(path, previousTree);
+  }, [loading, conversation, setConversation, generateReply]);
+
+  // Send an edited copy of a user message as a new branch from the same point
+  const handleEditMessage = useCallback(async (message, content) => {
+    if (loading) return;
+
+    const index = conversation.findIndex(m => m.id === message.id);
+    const editedMessage = {
+      id: Date.now().toString(),
+      role: 'user',
+      content,
+      timestamp: new Date().toISOString()
+    };
+    const path = [...conversation.slice(0, index), editedMessage];
+
+    const previousTree = treeRef.current;
+    setConversation(path);
+    await generateReply(path, previousTree);
+  }, [loading, conversation, setConversation, generateReply]);
+
+  const handleStopGeneration = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  const handleSwitchBranch = useCallback((message, direction) => {
+    const { messages } = treeRef.current;
+    const siblings = childrenByParent.get(message.parentId) || [];
+    const target = siblings[siblings.indexOf(message.id) + direction];
+    if (!target) return;
+
+    updateTree({ messages, leafId: getLatestLeafId(messages, target) });
+    persistConversation();
+  }, [childrenByParent, updateTree, persistConversation]);
+
+  const handleDeleteConversation = useCallback(async (conversationId) => {
+    try {
+      await conversationAPI.remove(conversationId);
+    } catch (error) {
+      toast.error(error.error || 'Failed to delete conversation');
+      return;
+    }
 
-  const handleDeleteConversation = useCallback((conversationId) => {
-    const updatedHistory = conversationsHistory.filter(c => c.id !== conversationId);
-    setConversationsHistory(updatedHistory);
+    setConversationsHistory(prev => prev.filter(c => c.id !== conversationId));
     
     if (conversationId === currentConversationId) {
       // Clear Codeforces data when deleting current conversation
@@ -1726,13 +2592,42 @@ const Dashboard = () => {
     }
     
     toast.success('Conversation deleted');
-  }, [conversationsHistory, setConversationsHistory, currentConversationId, startNewConversation]);
+  }, [currentConversationId, startNewConversation]);
+
+  // Rate a reply (feedback null clears it); resolves to whether it was saved
+  const handleFeedback = useCallback(async (message, feedback) => {
+    try {
+      if (feedback) {
+        await deepseekAPI.submitFeedback(message.generationId, feedback);
+      } else {
+        await deepseekAPI.clearFeedback(message.generationId);
+      }
+    } catch (error) {
+      toast.error(error.error || 'Failed to save feedback');
+      return false;
+    }
+
+    const { messages, leafId } = treeRef.current;
+    updateTree({
+      messages: messages.map(m => (m.id === message.id ? { ...m, feedback: feedback?.rating } : m)),
+      leafId
+    });
+    persistConversation();
+    return true;
+  }, [updateTree, persistConversation]);
 
   const handleCopyMessage = useCallback((content) => {
     navigator.clipboard.writeText(content);
     toast.success('Copied to clipboard');
   }, []);
 
+  const handleOpenHistory = useCallback(() => {
+    setHistoryOpen(true);
+    if (!isDesktop) {
+      setSidebarOpen(false);
+    }
+  }, [isDesktop]);
+
   const handleLogout = useCallback(() => {
     authAPI.logout();
     navigate('/login');
@@ -1757,6 +2652,22 @@ const Dashboard = () => {
         100% { transform: rotate(360deg); }
       }
       
+      /* Blinking cursor while a response is streaming */
+      @keyframes blink {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0; }
+      }
+      
+      .streaming-cursor {
+        display: inline-block;
+        width: 8px;
+        height: 16px;
+        margin-left: 2px;
+        background-color: #10a37f;
+        vertical-align: text-bottom;
+        animation: blink 1s step-end infinite;
+      }
+      
       /* Smooth scrolling */
       .smooth-scroll {
         scroll-behavior: smooth;
@@ -2091,12 +3002,16 @@ const Dashboard = () => {
         currentConversationId={currentConversationId}
         onSelectConversation={loadConversation}
         onDeleteConversation={handleDeleteConversation}
-        onNewChat={() => {
-          setCodeforcesUser(null);
-          setCodeforcesAnalysis(null);
-          setShowUserCard(false);
-          startNewConversation();
-        }}
+        onNewChat={handleNewChat}
+        myPrompts={myPrompts}
+        activePromptId={activePromptType}
+        onSelectPrompt={handleSelectPromptType}
+        onNewPrompt={() => openPromptDialog()}
+        onEditPrompt={openPromptDialog}
+        onDeletePrompt={handleDeletePrompt}
+        onOpenHistory={handleOpenHistory}
+        onOpenFeedbackReport={() => setFeedbackReportOpen(true)}
+        onOpenSettings={() => navigate('/settings')}
         user={user}
         onLogout={handleLogout}
         isDesktop={isDesktop}
@@ -2166,13 +3081,52 @@ const Dashboard = () => {
               width: '100%',
               padding: '0 16px'
             }}>
-              {conversation.map((message) => (
-                <Message
-                  key={message.id}
-                  message={message}
-                  onCopy={handleCopyMessage}
-                />
-              ))}
+              {currentConversationId && (
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginBottom: '8px' }}>
+                  <button
+                    onClick={() => setShareOpen(true)}
+                    title="Create a read-only link"
+                    style={{
+                      display: 'inline-flex',
+                      alignItems: 'center',
+                      gap: '6px',
+                      padding: '4px 10px',
+                      borderRadius: '4px',
+                      border: '1px solid #565869',
+                      background: 'none',
+                      color: '#ececf1',
+                      fontSize: '13px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <Share style={{ width: '16px', height: '16px' }} />
+                    Share
+                  </button>
+                  <ExportMenu
+                    dark
+                    disabled={loading}
+                    onExport={(format) => exportConversation(format).catch(error => toast.error(error.message))}
+                  />
+                </div>
+              )}
+              {conversation.map((message) => {
+                const siblings = childrenByParent.get(message.parentId) || [];
+                const isWelcome = message.id === 'welcome';
+                return (
+                  <Message
+                    key={message.id}
+                    message={message}
+                    onCopy={handleCopyMessage}
+                    branchIndex={siblings.indexOf(message.id)}
+                    branchCount={siblings.length}
+                    onSwitchBranch={handleSwitchBranch}
+                    onRegenerate={isWelcome ? null : handleRegenerate}
+                    onEdit={handleEditMessage}
+                    onFeedback={handleFeedback}
+                    actionsDisabled={loading}
+                  />
+                );
+              })}
               
               {/* Typing Indicator - at the BOTTOM of conversation */}
               {isTyping && (
@@ -2190,12 +3144,42 @@ const Dashboard = () => {
         <InputArea
           value={userInput}
           onChange={(e) => setUserInput(e.target.value)}
+          onValueChange={setUserInput}
           onSend={handleSendMessage}
           loading={loading}
-          placeholder="Type 'cf [handle]' to search Codeforces or ask a question..."
+          placeholder="Ask a question, or type / for commands like /cf [handle]..."
           inputRef={inputRef}
+          prompts={prompts}
+          promptCategories={promptCategories}
+          activePromptType={activePromptType}
+          activePrompt={activePrompt}
+          defaultPromptType={defaultPromptType}
+          onSelectPromptType={handleSelectPromptType}
+          onSetDefaultPromptType={handleSetDefaultPromptType}
+          promptVariables={variableValues}
+          variableErrors={variableErrors}
+          onVariableChange={handleVariableChange}
+          onStop={canStop ? handleStopGeneration : null}
         />
       </div>
+
+      <PromptTemplateDialog
+        key={promptDialog.key}
+        open={promptDialog.open}
+        prompt={promptDialog.prompt}
+        onClose={() => setPromptDialog(prev => ({ ...prev, open: false }))}
+        onSaved={handlePromptSaved}
+      />
+
+      <HistoryPanel open={historyOpen} onClose={() => setHistoryOpen(false)} />
+      <FeedbackReportDialog open={feedbackReportOpen} onClose={() => setFeedbackReportOpen(false)} />
+      <ShareDialog
+        open={shareOpen}
+        onClose={() => setShareOpen(false)}
+        resourceType="conversation"
+        resourceId={currentConversationId}
+        title={conversationsHistory.find(c => c.id === currentConversationId)?.title}
+      />
     </div>
   );
 };
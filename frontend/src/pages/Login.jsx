@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import {
   TextField,
   Button,
@@ -13,6 +13,7 @@ import {
 } from '@mui/material';
 import { LockOpen, CheckCircle, Error as ErrorIcon } from '@mui/icons-material';
 import { authAPI, testBackendConnection } from '../services/api';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -26,6 +27,16 @@ const Login = () => {
     message: '',
     severity: 'success'
   });
+  const location = useLocation();
+  // Second step after the password: { mode: 'verify' | 'setup', challengeToken }
+  // Registration starts at the setup step when the admin policy requires it
+  const [twoFactor, setTwoFactor] = useState(() => (
+    location.state?.twoFactorSetup
+      ? { mode: 'setup', challengeToken: location.state.twoFactorSetup }
+      : null
+  ));
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -63,17 +74,13 @@ const Login = () => {
       
       const response = await authAPI.login(formData.email, formData.password);
       
-      if (response.success) {
-        // Save token and user data
-        localStorage.setItem('token', response.token);
-        localStorage.setItem('user', JSON.stringify(response.user));
-        
-        showSnackbar('Login successful! Redirecting...');
-        
-        // Redirect after a short delay
-        setTimeout(() => {
-          navigate('/');
-        }, 1000);
+      if (response.twoFactorRequired || response.twoFactorSetupRequired) {
+        setTwoFactor({
+          mode: response.twoFactorRequired ? 'verify' : 'setup',
+          challengeToken: response.challengeToken
+        });
+      } else if (response.success) {
+        finishLogin(response);
       } else {
         showSnackbar(response.error || 'Login failed', 'error');
       }
@@ -88,6 +95,57 @@ const Login = () => {
     }
   };
 
+  const finishLogin = (response) => {
+    // Save token and user data
+    localStorage.setItem('token', response.token);
+    localStorage.setItem('refreshToken', response.refreshToken);
+    localStorage.setItem('user', JSON.stringify(response.user));
+
+    if (response.remainingRecoveryCodes !== undefined) {
+      showSnackbar(`Signed in with a recovery code, ${response.remainingRecoveryCodes} left`, 'warning');
+    } else {
+      showSnackbar('Login successful! Redirecting...');
+    }
+
+    // Redirect after a short delay
+    setTimeout(() => {
+      navigate('/');
+    }, 1000);
+  };
+
+  const resetTwoFactor = () => {
+    setTwoFactor(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const factor = useRecoveryCode ? { recoveryCode: twoFactorCode.trim() } : { code: twoFactorCode.trim() };
+      finishLogin(await authAPI.verifyTwoFactorLogin(twoFactor.challengeToken, factor));
+    } catch (error) {
+      if (error.code === 'CHALLENGE_EXPIRED') {
+        resetTwoFactor();
+      }
+      showSnackbar(error.error || 'Verification failed', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const challengeToken = twoFactor?.challengeToken;
+  const startLoginSetup = useCallback(
+    () => authAPI.startLoginTwoFactorSetup(challengeToken),
+    [challengeToken]
+  );
+  const confirmLoginSetup = useCallback(
+    (code) => authAPI.verifyTwoFactorLogin(challengeToken, { code }),
+    [challengeToken]
+  );
+
   const handleDemoLogin = () => {
     setFormData({
       email: 'demo@example.com',
@@ -129,75 +187,140 @@ const Login = () => {
             </Alert>
           )}
 
-          {/* Demo Credentials */}
-          <Alert severity="info" sx={{ mb: 3 }}>
-            <Typography variant="body2">
-              <strong>Demo Account:</strong><br/>
-              Email: demo@example.com<br/>
-              Password: demo123
-            </Typography>
-            <Button 
-              size="small" 
-              onClick={handleDemoLogin}
-              sx={{ mt: 1 }}
-            >
-              Use Demo Credentials
-            </Button>
-          </Alert>
-
-          <form onSubmit={handleSubmit}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              autoFocus
-              value={formData.email}
-              onChange={handleChange}
-              disabled={loading}
-            />
+          {twoFactor?.mode === 'setup' ? (
+            <>
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Your administrator requires two-factor authentication. Set it up to finish signing in.
+              </Alert>
+              <TwoFactorSetup
+                onStart={startLoginSetup}
+                onConfirm={confirmLoginSetup}
+                onDone={finishLogin}
+                onCancel={resetTwoFactor}
+                doneLabel="Continue"
+              />
+            </>
+          ) : twoFactor?.mode === 'verify' ? (
+            <form onSubmit={handleTwoFactorSubmit}>
+              <Typography variant="body2" color="text.secondary">
+                {useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved when setting up two-factor authentication.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
+              </Typography>
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                autoFocus
+                key={useRecoveryCode ? 'recovery' : 'code'}
+                label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                disabled={loading}
+                autoComplete="one-time-code"
+                slotProps={{ htmlInput: { inputMode: useRecoveryCode ? 'text' : 'numeric' } }}
+              />
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                color="primary"
+                disabled={loading || !twoFactorCode.trim()}
+                sx={{ mt: 2, mb: 2, py: 1.5 }}
+              >
+                {loading ? <CircularProgress size={24} color="inherit" /> : 'Verify'}
+              </Button>
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Button size="small" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setTwoFactorCode(''); }}>
+                  {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </Button>
+                <Button size="small" onClick={resetTwoFactor}>
+                  Back
+                </Button>
+              </Box>
+            </form>
+          ) : (
+            <>
+              {/* Demo Credentials */}
+              <Alert severity="info" sx={{ mb: 3 }}>
+                <Typography variant="body2">
+                  <strong>Demo Account:</strong><br/>
+                  Email: demo@example.com<br/>
+                  Password: demo123
+                </Typography>
+                <Button 
+                  size="small" 
+                  onClick={handleDemoLogin}
+                  sx={{ mt: 1 }}
+                >
+                  Use Demo Credentials
+                </Button>
+              </Alert>
+
+              <form onSubmit={handleSubmit}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="email"
+                  label="Email Address"
+                  name="email"
+                  autoComplete="email"
+                  autoFocus
+                  value={formData.email}
+                  onChange={handleChange}
+                  disabled={loading}
+                />
             
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="current-password"
-              value={formData.password}
-              onChange={handleChange}
-              disabled={loading}
-            />
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  name="password"
+                  label="Password"
+                  type="password"
+                  id="password"
+                  autoComplete="current-password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  disabled={loading}
+                />
             
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              color="primary"
-              disabled={loading || (backendStatus && !backendStatus.connected)}
-              sx={{ mt: 3, mb: 2, py: 1.5 }}
-            >
-              {loading ? (
-                <CircularProgress size={24} color="inherit" />
-              ) : (
-                'Sign In'
-              )}
-            </Button>
+                <Box sx={{ textAlign: 'right' }}>
+                  <Link to="/forgot-password" style={{ color: '#1976d2', fontSize: '14px' }}>
+                    Forgot password?
+                  </Link>
+                </Box>
+
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  color="primary"
+                  disabled={loading || (backendStatus && !backendStatus.connected)}
+                  sx={{ mt: 3, mb: 2, py: 1.5 }}
+                >
+                  {loading ? (
+                    <CircularProgress size={24} color="inherit" />
+                  ) : (
+                    'Sign In'
+                  )}
+                </Button>
             
-            <Box sx={{ textAlign: 'center', mt: 2 }}>
-              <Typography variant="body2">
-                Don't have an account?{' '}
-                <Link to="/register" style={{ color: '#1976d2', fontWeight: 'bold' }}>
-                  Create Account
-                </Link>
-              </Typography>
-            </Box>
-          </form>
+                <Box sx={{ textAlign: 'center', mt: 2 }}>
+                  <Typography variant="body2">
+                    Don't have an account?{' '}
+                    <Link to="/register" style={{ color: '#1976d2', fontWeight: 'bold' }}>
+                      Create Account
+                    </Link>
+                  </Typography>
+                </Box>
+              </form>
+            </>
+          )}
 
           {/* Debug Info */}
           <Box sx={{ mt: 3, p: 2, bgcolor: '#f5f5f5', borderRadius: 1 }}>
@@ -92,12 +92,16 @@ const Register = () => {
         password: formData.password
       });
       
-      if (response.success) {
+      if (response.twoFactorSetupRequired) {
+        // The account exists; login finishes it once two-factor is set up
+        navigate('/login', { state: { twoFactorSetup: response.challengeToken } });
+      } else if (response.success) {
         // Save token and user data
         localStorage.setItem('token', response.token);
+        localStorage.setItem('refreshToken', response.refreshToken);
         localStorage.setItem('user', JSON.stringify(response.user));
         
-        showSnackbar('Registration successful! Redirecting...');
+        showSnackbar('Registration successful! Check your email to confirm your address.');
         
         // Redirect after a short delay
         setTimeout(() => {
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import {
+  TextField,
+  Button,
+  Container,
+  Typography,
+  Box,
+  Paper,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { LockReset } from '@mui/icons-material';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Opened from the link in the password reset email (/reset-password?token=...)
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await authAPI.resetPassword(token, formData.password);
+      // Every session was signed out, including this browser's
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+      toast.success('Password updated, please sign in');
+      navigate('/login');
+    } catch (err) {
+      setError(err.error || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="sm">
+      <Box
+        sx={{
+          marginTop: 4,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ p: 4, width: '100%' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', mb: 2 }}>
+            <LockReset color="primary" sx={{ mr: 1, fontSize: 32 }} />
+            <Typography component="h1" variant="h4" align="center">
+              Choose a New Password
+            </Typography>
+          </Box>
+
+          {!token ? (
+            <Alert severity="error">
+              This reset link is incomplete. Open the link from your email again or{' '}
+              <Link to="/forgot-password">request a new one</Link>.
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {error && (
+                <Alert severity="error" sx={{ mb: 1 }}>
+                  {error}
+                  {error.includes('expired') && (
+                    <>
+                      {' '}<Link to="/forgot-password">Request a new link</Link>
+                    </>
+                  )}
+                </Alert>
+              )}
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="New Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                autoFocus
+                value={formData.password}
+                onChange={handleChange}
+                disabled={loading}
+                helperText="At least 6 characters"
+              />
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="confirmPassword"
+                label="Confirm New Password"
+                type="password"
+                id="confirmPassword"
+                autoComplete="new-password"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                disabled={loading}
+              />
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                color="primary"
+                disabled={loading}
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+              >
+                {loading ? <CircularProgress size={24} color="inherit" /> : 'Update Password'}
+              </Button>
+            </form>
+          )}
+
+          <Box sx={{ textAlign: 'center', mt: 2 }}>
+            <Link to="/login" style={{ color: '#1976d2', fontWeight: 'bold' }}>
+              Back to Login
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,687 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Paper,
+  Typography,
+  Button,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Chip,
+  CircularProgress,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControlLabel,
+  Switch,
+  Alert,
+  FormGroup,
+  Checkbox
+} from '@mui/material';
+import { ArrowBack, Devices, Logout, MarkEmailRead, MarkEmailUnread, Security, Key, ContentCopy, Delete } from '@mui/icons-material';
+import { authAPI, apiKeyAPI } from '../services/api';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+import RecoveryCodes from '../components/RecoveryCodes';
+import toast from 'react-hot-toast';
+
+const formatDateTime = (date) => new Date(date).toLocaleString();
+
+// Account email and whether it has been confirmed
+const EmailSection = () => {
+  const [profile, setProfile] = useState(authAPI.getCurrentUser());
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    authAPI.getProfile()
+      .then(result => setProfile(result.user))
+      .catch(error => toast.error(error.error || 'Failed to load profile'));
+  }, []);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const result = await authAPI.resendVerification();
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.error || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h6" sx={{ mb: 1 }}>Email</Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        {profile?.emailVerified ? <MarkEmailRead color="success" /> : <MarkEmailUnread color="warning" />}
+        <Typography>{profile?.email}</Typography>
+        <Chip
+          size="small"
+          color={profile?.emailVerified ? 'success' : 'warning'}
+          label={profile?.emailVerified ? 'Verified' : 'Not verified'}
+        />
+        {profile && !profile.emailVerified && (
+          <Button size="small" onClick={handleResend} disabled={sending} sx={{ ml: 'auto' }}>
+            Resend verification email
+          </Button>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+// Asks for a code (and optionally the password) before a sensitive two-factor change
+const ConfirmCodeDialog = ({ open, title, confirmLabel, requirePassword, onSubmit, onClose }) => {
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleClose = () => {
+    setPassword('');
+    setCode('');
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await onSubmit({ password, code: code.trim() });
+      setPassword('');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="xs" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{title}</DialogTitle>
+        <DialogContent>
+          {requirePassword && (
+            <TextField
+              margin="dense"
+              fullWidth
+              required
+              type="password"
+              label="Password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          )}
+          <TextField
+            margin="dense"
+            fullWidth
+            required
+            label="Authentication code"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            slotProps={{ htmlInput: { inputMode: 'numeric' } }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={submitting}>
+            {confirmLabel}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+// Authenticator app setup, recovery codes and turning two-factor off
+const TwoFactorSection = () => {
+  const [status, setStatus] = useState(null);
+  const [settingUp, setSettingUp] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [dialog, setDialog] = useState(null);
+
+  const loadStatus = useCallback(() => authAPI.getTwoFactorStatus()
+    .then(result => setStatus(result.twoFactor))
+    .catch(error => toast.error(error.error || 'Failed to load two-factor status')), []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleSetupDone = () => {
+    setSettingUp(false);
+    toast.success('Two-factor authentication enabled');
+    loadStatus();
+  };
+
+  const handleRegenerate = async ({ code }) => {
+    try {
+      const result = await authAPI.regenerateRecoveryCodes(code);
+      setRecoveryCodes(result.recoveryCodes);
+      setDialog(null);
+      loadStatus();
+    } catch (error) {
+      toast.error(error.error || 'Failed to regenerate recovery codes');
+    }
+  };
+
+  const handleDisable = async ({ password, code }) => {
+    try {
+      await authAPI.disableTwoFactor({ password, code });
+      setDialog(null);
+      toast.success('Two-factor authentication disabled');
+      loadStatus();
+    } catch (error) {
+      toast.error(error.error || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  const renderBody = () => {
+    if (!status) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={28} />
+        </Box>
+      );
+    }
+
+    if (settingUp) {
+      return (
+        <Box sx={{ maxWidth: 400 }}>
+          <TwoFactorSetup
+            onStart={authAPI.setupTwoFactor}
+            onConfirm={authAPI.enableTwoFactor}
+            onDone={handleSetupDone}
+            onCancel={() => setSettingUp(false)}
+          />
+        </Box>
+      );
+    }
+
+    if (!status.enabled) {
+      return (
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            Sign-ins will need a code from an authenticator app as well as your password.
+          </Typography>
+          <Button variant="contained" onClick={() => setSettingUp(true)}>
+            Set up
+          </Button>
+        </Box>
+      );
+    }
+
+    return (
+      <>
+        <Typography variant="body2" color="text.secondary">
+          Enabled {new Date(status.enabledAt).toLocaleDateString()} · {status.recoveryCodesRemaining} recovery
+          code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+        </Typography>
+        {recoveryCodes && (
+          <Box sx={{ mt: 2, maxWidth: 400 }}>
+            <RecoveryCodes codes={recoveryCodes} />
+          </Box>
+        )}
+        <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+          <Button size="small" onClick={() => setDialog('regenerate')}>
+            New recovery codes
+          </Button>
+          <Button
+            size="small"
+            color="error"
+            onClick={() => setDialog('disable')}
+            disabled={status.required}
+            title={status.required ? 'Required by your administrator' : undefined}
+          >
+            Turn off
+          </Button>
+        </Box>
+      </>
+    );
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="h6">Two-factor authentication</Typography>
+        {status && (
+          <Chip
+            size="small"
+            color={status.enabled ? 'success' : 'default'}
+            label={status.enabled ? 'On' : 'Off'}
+          />
+        )}
+      </Box>
+      {renderBody()}
+
+      <ConfirmCodeDialog
+        open={dialog === 'regenerate'}
+        title="Replace recovery codes"
+        confirmLabel="Generate"
+        onSubmit={handleRegenerate}
+        onClose={() => setDialog(null)}
+      />
+      <ConfirmCodeDialog
+        open={dialog === 'disable'}
+        title="Turn off two-factor authentication"
+        confirmLabel="Turn off"
+        requirePassword
+        onSubmit={handleDisable}
+        onClose={() => setDialog(null)}
+      />
+    </Paper>
+  );
+};
+
+const SCOPE_DESCRIPTIONS = {
+  generate: 'Run prompts (/generate, /codeforces)',
+  'history:read': 'Read generation history',
+  'stats:read': 'Read usage statistics'
+};
+
+// Name and scopes for a new key, then the key itself (shown once)
+const CreateApiKeyDialog = ({ open, scopes, onCreated, onClose }) => {
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState(['generate']);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  const handleClose = () => {
+    setName('');
+    setSelected(['generate']);
+    setCreatedKey(null);
+    onClose();
+  };
+
+  const toggleScope = (scope) => {
+    setSelected(prev => prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const result = await apiKeyAPI.create(name.trim(), selected);
+      setCreatedKey(result.key);
+      onCreated(result.apiKey);
+    } catch (error) {
+      toast.error(error.error || 'Failed to create API key');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      toast.success('API key copied');
+    } catch {
+      toast.error('Failed to copy');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      {createdKey ? (
+        <>
+          <DialogTitle>API key created</DialogTitle>
+          <DialogContent>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Copy this key now. It won't be shown again.
+            </Alert>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, p: 1.5, bgcolor: '#f5f5f5', borderRadius: 1 }}>
+              <Typography sx={{ fontFamily: 'monospace', fontSize: '13px', wordBreak: 'break-all', flex: 1 }}>
+                {createdKey}
+              </Typography>
+              <Button size="small" startIcon={<ContentCopy />} onClick={handleCopy}>Copy</Button>
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              Send it as a bearer token, for example:
+            </Typography>
+            <Box component="pre" sx={{ p: 1.5, bgcolor: '#f5f5f5', borderRadius: 1, fontSize: '12px', overflowX: 'auto' }}>
+              {`curl ${apiKeyAPI.getBaseUrl()}/api/deepseek/generate \\
+  -H "Authorization: Bearer $API_KEY" \\
+  -H "Content-Type: application/json" \\
+  -d '{"promptType": "general_chat", "userInput": "Hello"}'`}
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button variant="contained" onClick={handleClose}>Done</Button>
+          </DialogActions>
+        </>
+      ) : (
+        <form onSubmit={handleCreate}>
+          <DialogTitle>New API key</DialogTitle>
+          <DialogContent>
+            <TextField
+              margin="dense"
+              fullWidth
+              required
+              autoFocus
+              label="Name"
+              placeholder="e.g. CI pipeline"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              slotProps={{ htmlInput: { maxLength: 100 } }}
+            />
+            <Typography variant="subtitle2" sx={{ mt: 2 }}>Scopes</Typography>
+            <FormGroup>
+              {scopes.map(scope => (
+                <FormControlLabel
+                  key={scope}
+                  control={<Checkbox checked={selected.includes(scope)} onChange={() => toggleScope(scope)} />}
+                  label={
+                    <span>
+                      <code>{scope}</code> · {SCOPE_DESCRIPTIONS[scope] || scope}
+                    </span>
+                  }
+                />
+              ))}
+            </FormGroup>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleClose}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={creating || !name.trim() || selected.length === 0}>
+              Create key
+            </Button>
+          </DialogActions>
+        </form>
+      )}
+    </Dialog>
+  );
+};
+
+// Personal API keys for scripts and CI
+const ApiKeysSection = () => {
+  const [keys, setKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [createOpen, setCreateOpen] = useState(false);
+
+  useEffect(() => {
+    apiKeyAPI.list()
+      .then(result => {
+        setKeys(result.keys || []);
+        setScopes(result.scopes || []);
+      })
+      .catch(error => toast.error(error.error || 'Failed to load API keys'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRevoke = async (key) => {
+    if (!window.confirm(`Revoke "${key.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      await apiKeyAPI.revoke(key.id);
+      setKeys(prev => prev.filter(k => k.id !== key.id));
+      toast.success(`Revoked ${key.name}`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to revoke API key');
+    }
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="h6">API keys</Typography>
+        <Button size="small" variant="contained" onClick={() => setCreateOpen(true)} disabled={loading}>
+          New key
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Call the API from scripts and CI without signing in. Anyone with a key can act as you
+        within its scopes, so keep keys secret and revoke ones you no longer use.
+      </Typography>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={28} />
+        </Box>
+      ) : (
+        <List disablePadding>
+          {keys.map((key, index) => (
+            <React.Fragment key={key.id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem
+                secondaryAction={
+                  <Button size="small" color="error" startIcon={<Delete />} onClick={() => handleRevoke(key)}>
+                    Revoke
+                  </Button>
+                }
+              >
+                <ListItemIcon>
+                  <Key />
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      {key.name}
+                      <Typography component="span" variant="body2" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                        {key.prefix}…
+                      </Typography>
+                      {key.scopes.map(scope => (
+                        <Chip key={scope} size="small" variant="outlined" label={scope} />
+                      ))}
+                    </Box>
+                  }
+                  secondary={[
+                    `Created ${formatDateTime(key.createdAt)}`,
+                    key.lastUsedAt ? `Last used ${formatDateTime(key.lastUsedAt)}` : 'Never used'
+                  ].join(' · ')}
+                />
+              </ListItem>
+            </React.Fragment>
+          ))}
+          {keys.length === 0 && (
+            <Typography color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+              No API keys
+            </Typography>
+          )}
+        </List>
+      )}
+
+      <CreateApiKeyDialog
+        open={createOpen}
+        scopes={scopes}
+        onCreated={(apiKey) => setKeys(prev => [apiKey, ...prev])}
+        onClose={() => setCreateOpen(false)}
+      />
+    </Paper>
+  );
+};
+
+// Instance-wide security settings, shown to admins only
+const SecurityPolicySection = () => {
+  const [policy, setPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    authAPI.getSecurityPolicy()
+      .then(result => setPolicy(result.policy))
+      .catch(error => toast.error(error.error || 'Failed to load security policy'));
+  }, []);
+
+  const handleToggle = async (e) => {
+    const requireTwoFactor = e.target.checked;
+    setSaving(true);
+    try {
+      const result = await authAPI.updateSecurityPolicy({ requireTwoFactor });
+      setPolicy(result.policy);
+      toast.success(requireTwoFactor ? 'Two-factor authentication is now required' : 'Two-factor authentication is now optional');
+    } catch (error) {
+      toast.error(error.error || 'Failed to update security policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Security color="primary" />
+        <Typography variant="h6">Security policy</Typography>
+      </Box>
+      <FormControlLabel
+        control={
+          <Switch
+            checked={!!policy?.requireTwoFactor}
+            onChange={handleToggle}
+            disabled={!policy || saving}
+          />
+        }
+        label="Require two-factor authentication for all accounts"
+      />
+      {policy?.requireTwoFactor && (
+        <Alert severity="info" sx={{ mt: 1 }}>
+          Accounts without two-factor are asked to set it up at their next sign-in, and their
+          current sessions end within a few minutes.
+        </Alert>
+      )}
+    </Paper>
+  );
+};
+
+// Signed-in devices, each of which can be signed out
+const SessionsSection = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const result = await authAPI.getSessions();
+      setSessions(result.sessions || []);
+    } catch (error) {
+      toast.error(error.error || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session) => {
+    // Signing out the current device is a regular logout
+    if (session.current) {
+      await authAPI.logout();
+      navigate('/login');
+      return;
+    }
+
+    try {
+      await authAPI.revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      toast.success(`Signed out ${session.device}`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to sign out session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const result = await authAPI.revokeOtherSessions();
+      setSessions(prev => prev.filter(s => s.current));
+      toast.success(`Signed out ${result.revoked} other session${result.revoked === 1 ? '' : 's'}`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to sign out other sessions');
+    }
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="h6">Sessions</Typography>
+        <Button
+          size="small"
+          color="error"
+          onClick={handleRevokeOthers}
+          disabled={loading || !sessions.some(s => !s.current)}
+        >
+          Sign out all other sessions
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Devices signed in to your account. Signed-out devices lose access within a few minutes.
+      </Typography>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={28} />
+        </Box>
+      ) : (
+        <List disablePadding>
+          {sessions.map((session, index) => (
+            <React.Fragment key={session.id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem
+                secondaryAction={
+                  <Button size="small" startIcon={<Logout />} onClick={() => handleRevoke(session)}>
+                    Sign out
+                  </Button>
+                }
+              >
+                <ListItemIcon>
+                  <Devices />
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {session.device}
+                      {session.current && <Chip size="small" color="primary" label="This device" />}
+                    </Box>
+                  }
+                  secondary={[
+                    session.ip,
+                    `Last active ${formatDateTime(session.lastUsedAt)}`,
+                    `Signed in ${formatDateTime(session.createdAt)}`
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            </React.Fragment>
+          ))}
+          {sessions.length === 0 && (
+            <Typography color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+              No active sessions
+            </Typography>
+          )}
+        </List>
+      )}
+    </Paper>
+  );
+};
+
+const Settings = () => {
+  const navigate = useNavigate();
+  const isAdmin = authAPI.getCurrentUser()?.role === 'admin';
+
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ my: 4, display: 'flex', flexDirection: 'column', gap: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Button startIcon={<ArrowBack />} onClick={() => navigate('/')}>
+            Back to chat
+          </Button>
+          <Typography component="h1" variant="h4">
+            Settings
+          </Typography>
+        </Box>
+
+        <EmailSection />
+        <TwoFactorSection />
+        <SessionsSection />
+        <ApiKeysSection />
+        {isAdmin && <SecurityPolicySection />}
+      </Box>
+    </Container>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { CircularProgress } from '@mui/material';
+import { Code, LinkOff } from '@mui/icons-material';
+import { shareAPI } from '../services/api';
+import MarkdownRenderer from '../components/MarkdownRenderer';
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: '#343541',
+    color: '#ececf1'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '16px 24px',
+    backgroundColor: '#171717',
+    borderBottom: '1px solid #2e2e2e'
+  },
+  logo: {
+    width: '28px',
+    height: '28px',
+    borderRadius: '50%',
+    background: 'linear-gradient(135deg, #10a37f, #0d8c6d)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  content: {
+    maxWidth: '768px',
+    margin: '0 auto',
+    padding: '24px 16px 48px'
+  },
+  meta: {
+    fontSize: '13px',
+    color: '#8e8ea0',
+    marginBottom: '24px'
+  },
+  message: {
+    padding: '16px 0',
+    borderBottom: '1px solid #40414f'
+  },
+  role: {
+    fontSize: '13px',
+    fontWeight: 600,
+    color: '#8e8ea0',
+    marginBottom: '8px'
+  },
+  centered: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '80px 16px',
+    textAlign: 'center'
+  },
+  link: {
+    color: '#10a37f'
+  }
+};
+
+const SharedMessage = ({ role, content }) => (
+  <div style={styles.message}>
+    <div style={styles.role}>{role}</div>
+    <MarkdownRenderer content={content} />
+  </div>
+);
+
+// Read-only page for /share/:token; works without an account
+const SharedView = () => {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    shareAPI.getShared(token)
+      .then(result => {
+        if (cancelled) return;
+        setShared(result.shared);
+        setExpiresAt(result.expiresAt);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.error || 'This link is not available');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const renderBody = () => {
+    if (error) {
+      return (
+        <div style={styles.centered}>
+          <LinkOff style={{ width: '40px', height: '40px', color: '#8e8ea0' }} />
+          <div style={{ fontSize: '18px' }}>{error}</div>
+          <div style={{ color: '#8e8ea0' }}>Ask the person who shared it for a new link.</div>
+        </div>
+      );
+    }
+
+    if (!shared) {
+      return (
+        <div style={styles.centered}>
+          <CircularProgress size={28} sx={{ color: '#10a37f' }} />
+        </div>
+      );
+    }
+
+    return (
+      <div style={styles.content}>
+        <h1 style={{ fontSize: '24px', margin: '0 0 8px' }}>{shared.title}</h1>
+        <div style={styles.meta}>
+          {shared.type === 'conversation' ? 'Shared conversation' : `Shared ${shared.promptName} generation`}
+          {' · '}
+          {new Date(shared.createdAt).toLocaleString()}
+          {expiresAt && ` · Link expires ${new Date(expiresAt).toLocaleString()}`}
+        </div>
+
+        {shared.type === 'conversation'
+          ? shared.messages.map(message => (
+            <SharedMessage
+              key={message.id}
+              role={message.role === 'user' ? 'User' : 'Assistant'}
+              content={message.content}
+            />
+          ))
+          : (
+            <>
+              <SharedMessage role="Input" content={shared.userInput} />
+              <SharedMessage role="Response" content={shared.aiResponse || ''} />
+            </>
+          )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.header}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <div style={styles.logo}>
+            <Code style={{ width: '16px', height: '16px', color: 'white' }} />
+          </div>
+          <span style={{ fontSize: '16px', fontWeight: 500 }}>Codeforces AI</span>
+        </div>
+        <Link to="/register" style={styles.link}>Create your own</Link>
+      </div>
+      {renderBody()}
+    </div>
+  );
+};
+
+export default SharedView;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Paper,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { MarkEmailRead } from '@mui/icons-material';
+import { authAPI } from '../services/api';
+
+// Opened from the link in the verification email (/verify-email?token=...)
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete');
+  // Tokens work once; StrictMode runs effects twice in development
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then(result => {
+        setStatus('verified');
+        setMessage(`${result.email} is confirmed.`);
+      })
+      .catch(err => {
+        setStatus('error');
+        setMessage(err.error || 'Failed to verify email');
+      });
+  }, [token]);
+
+  return (
+    <Container maxWidth="sm">
+      <Box
+        sx={{
+          marginTop: 4,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ p: 4, width: '100%' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', mb: 2 }}>
+            <MarkEmailRead color="primary" sx={{ mr: 1, fontSize: 32 }} />
+            <Typography component="h1" variant="h4" align="center">
+              Email Verification
+            </Typography>
+          </Box>
+
+          {status === 'verifying' && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+              <CircularProgress />
+            </Box>
+          )}
+
+          {status === 'verified' && (
+            <Alert severity="success">{message}</Alert>
+          )}
+
+          {status === 'error' && (
+            <Alert severity="error">
+              {message}. You can send a new link from Settings after signing in.
+            </Alert>
+          )}
+
+          <Box sx={{ textAlign: 'center', mt: 3 }}>
+            <Link to={authAPI.isAuthenticated() ? '/' : '/login'} style={{ color: '#1976d2', fontWeight: 'bold' }}>
+              {authAPI.isAuthenticated() ? 'Go to chat' : 'Go to Login'}
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
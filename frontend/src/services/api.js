@@ -23,25 +23,134 @@ api.interceptors.request.use(
   }
 );
 
+// Requests whose 401 means bad credentials rather than an expired access token
+const SKIP_REFRESH_URLS = [
+  'api/auth/login', 'api/auth/login/2fa', 'api/auth/login/2fa/setup',
+  'api/auth/register', 'api/auth/refresh', 'api/auth/logout'
+];
+
+// Drop the stored session and go to the login page
+const expireSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Exchange the refresh token for a new access token
+// Concurrent callers share one request, since each refresh token works only once
+let refreshPromise = null;
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? api.post('api/auth/refresh', { refreshToken })
+      : Promise.reject({ error: 'Not signed in' }))
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have refreshed (and rotated the token) in the meantime
+        if (refreshToken && localStorage.getItem('refreshToken') !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
     console.error('API Error:', error.response?.data || error.message);
     
-    // Handle 401 Unauthorized
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+    // Handle 401 Unauthorized: refresh the access token once and retry
+    const request = error.config;
+    if (error.response?.status === 401 && request && !SKIP_REFRESH_URLS.includes(request.url)) {
+      if (request._retried) {
+        expireSession();
+        return Promise.reject(error);
+      }
+
+      try {
+        const token = await refreshAccessToken();
+        request._retried = true;
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      } catch {
+        expireSession();
+      }
     }
     
     return Promise.reject(error);
   }
 );
 
+// Read a Server-Sent Events response body, calling onEvent(event, data) per message
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) {
+        onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+};
+
+// Save a file response (responseType 'blob'), named by the server's Content-Disposition header
+const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const filename = /filename="?([^";]+)"?/.exec(disposition)?.[1] || fallbackName;
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+  return { success: true, filename };
+};
+
+// Error bodies of blob requests arrive as a Blob holding the usual JSON
+const readBlobError = async (error, fallback) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text());
+    } catch {
+      return { error: fallback };
+    }
+  }
+  return data || { error: fallback };
+};
+
 // API endpoints
 export const authAPI = {
   login: async (email, password) => {
@@ -62,9 +171,193 @@ export const authAPI = {
     }
   },
   
-  logout: () => {
+  // Revokes this device's session on the server; local storage is cleared either way
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
+
+    if (refreshToken) {
+      try {
+        await api.post('api/auth/logout', { refreshToken });
+      } catch (error) {
+        console.error('Failed to revoke session:', error);
+      }
+    }
+  },
+
+  // Signed-in devices; the one making the request has current: true
+  getSessions: async () => {
+    try {
+      const response = await api.get('api/auth/sessions');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch sessions' };
+    }
+  },
+
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await api.delete(`api/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to sign out session' };
+    }
+  },
+
+  // Sign out everywhere except this device
+  revokeOtherSessions: async () => {
+    try {
+      const response = await api.delete('api/auth/sessions');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to sign out other sessions' };
+    }
+  },
+
+  // Second login step after login() returned twoFactorRequired or twoFactorSetupRequired
+  // factor: { code } or { recoveryCode }
+  verifyTwoFactorLogin: async (challengeToken, factor) => {
+    try {
+      const response = await api.post('api/auth/login/2fa', { challengeToken, ...factor });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Verification failed' };
+    }
+  },
+
+  // Secret and QR code for a setup the admin policy requires at login
+  startLoginTwoFactorSetup: async (challengeToken) => {
+    try {
+      const response = await api.post('api/auth/login/2fa/setup', { challengeToken });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to start two-factor setup' };
+    }
+  },
+
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await api.get('api/auth/2fa');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch two-factor status' };
+    }
+  },
+
+  setupTwoFactor: async () => {
+    try {
+      const response = await api.post('api/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to start two-factor setup' };
+    }
+  },
+
+  // Returns the recovery codes, which are only shown this once
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await api.post('api/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to enable two-factor authentication' };
+    }
+  },
+
+  // { password, code } or { password, recoveryCode }
+  disableTwoFactor: async (credentials) => {
+    try {
+      const response = await api.post('api/auth/2fa/disable', credentials);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to disable two-factor authentication' };
+    }
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await api.post('api/auth/2fa/recovery-codes', { code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to regenerate recovery codes' };
+    }
+  },
+
+  // Admin only
+  getSecurityPolicy: async () => {
+    try {
+      const response = await api.get('api/auth/security-policy');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch security policy' };
+    }
+  },
+
+  updateSecurityPolicy: async (policy) => {
+    try {
+      const response = await api.put('api/auth/security-policy', policy);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to update security policy' };
+    }
+  },
+
+  // Always succeeds for a well-formed email, whether or not an account exists
+  forgotPassword: async (email) => {
+    try {
+      const response = await api.post('api/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to request password reset' };
+    }
+  },
+
+  // token comes from the emailed link; every device is signed out afterwards
+  resetPassword: async (token, password) => {
+    try {
+      const response = await api.post('api/auth/reset-password', { token, password });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to reset password' };
+    }
+  },
+
+  // Marks the stored user as verified when the token is accepted
+  verifyEmail: async (token) => {
+    try {
+      const response = await api.post('api/auth/verify-email', { token });
+      const user = authAPI.getCurrentUser();
+      if (user && user.email === response.data.email) {
+        localStorage.setItem('user', JSON.stringify({ ...user, emailVerified: true }));
+      }
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to verify email' };
+    }
+  },
+
+  // Fresh profile from the server; the stored user is kept in sync
+  getProfile: async () => {
+    try {
+      const response = await api.get('api/auth/me');
+      const user = authAPI.getCurrentUser();
+      if (user) {
+        localStorage.setItem('user', JSON.stringify({ ...user, emailVerified: response.data.user.emailVerified }));
+      }
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch profile' };
+    }
+  },
+
+  resendVerification: async () => {
+    try {
+      const response = await api.post('api/auth/resend-verification');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to send verification email' };
+    }
   },
   
   getCurrentUser: () => {
@@ -78,19 +371,92 @@ export const authAPI = {
   
   isAuthenticated: () => {
     return !!localStorage.getItem('token');
+  },
+
+  // preferences: { defaultPromptType, theme }; the stored user is kept in sync
+  updatePreferences: async (preferences) => {
+    try {
+      const response = await api.put('api/auth/preferences', preferences);
+      const currentUser = authAPI.getCurrentUser();
+      if (currentUser && response.data.success) {
+        localStorage.setItem('user', JSON.stringify({ ...currentUser, preferences: response.data.preferences }));
+      }
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to update preferences' };
+    }
   }
 };
 
 export const deepseekAPI = {
-  generate: async (promptType, userInput) => {
+  // messages: earlier { role, content } turns of the conversation, oldest first
+  // provider: optional model backend id from getProviders(); the server default otherwise
+  // variables: values for the template's {{variables}}, keyed by name
+  generate: async (promptType, userInput, { messages, provider, variables } = {}) => {
     try {
-      const response = await api.post('api/deepseek/generate', { promptType, userInput });
+      const response = await api.post('api/deepseek/generate', { promptType, userInput, messages, provider, variables });
       return response.data;
     } catch (error) {
       throw error.response?.data || { error: 'Generation failed' };
     }
   },
   
+  // Stream a generation token-by-token; onDelta receives each text fragment
+  // Aborting signal stops the request (and the server's upstream call); the promise rejects with an AbortError
+  generateStream: async (promptType, userInput, { onDelta, messages, provider, variables, signal } = {}) => {
+    const baseURL = api.defaults.baseURL.replace(/\/$/, '');
+    const send = (token) => fetch(`${baseURL}/api/deepseek/generate/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ promptType, userInput, messages, provider, variables }),
+      signal
+    });
+
+    // fetch bypasses the axios interceptors, so refresh an expired token here
+    let response = await send(localStorage.getItem('token'));
+    if (response.status === 401 && localStorage.getItem('refreshToken')) {
+      const token = await refreshAccessToken().catch(() => null);
+      if (!token) {
+        expireSession();
+      } else {
+        response = await send(token);
+      }
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      throw errorData || { error: 'Generation failed' };
+    }
+
+    let result = null;
+    await readEventStream(response, (event, data) => {
+      if (event === 'delta') {
+        onDelta?.(data.text);
+      } else if (event === 'done') {
+        result = data;
+      } else if (event === 'error') {
+        throw data;
+      }
+    });
+
+    if (!result) {
+      throw { error: 'Stream ended unexpectedly' };
+    }
+    return result;
+  },
+
+  getProviders: async () => {
+    try {
+      const response = await api.get('api/deepseek/providers');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch providers' };
+    }
+  },
+
   getPrompts: async () => {
     try {
       const response = await api.get('api/deepseek/prompts');
@@ -98,9 +464,288 @@ export const deepseekAPI = {
     } catch (error) {
       throw error.response?.data || { error: 'Failed to fetch prompts' };
     }
+  },
+
+  // The user's private prompt templates
+  getMyPrompts: async () => {
+    try {
+      const response = await api.get('api/deepseek/my-prompts');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch prompts' };
+    }
+  },
+
+  createMyPrompt: async (prompt) => {
+    try {
+      const response = await api.post('api/deepseek/my-prompts', prompt);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to create prompt' };
+    }
+  },
+
+  updateMyPrompt: async (id, prompt) => {
+    try {
+      const response = await api.put(`api/deepseek/my-prompts/${id}`, prompt);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to update prompt' };
+    }
+  },
+
+  deleteMyPrompt: async (id) => {
+    try {
+      const response = await api.delete(`api/deepseek/my-prompts/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to delete prompt' };
+    }
+  },
+
+  // Past generations, newest first (best match first when searching)
+  // filters: { promptType, q, mode, from, to }; empty values are ignored
+  getHistory: async (limit = 20, skip = 0, filters = {}) => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await api.get('api/deepseek/history', {
+        params: { limit, skip, ...params }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch history' };
+    }
+  },
+
+  getGeneration: async (id) => {
+    try {
+      const response = await api.get(`api/deepseek/history/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch generation' };
+    }
+  },
+
+  // Download the generations matching filters (same as getHistory, up to 500)
+  // format: markdown, json, html or pdf
+  exportHistory: async (format, filters = {}) => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await api.get('api/deepseek/history/export', {
+        params: { format, ...params },
+        responseType: 'blob'
+      });
+      return saveDownload(response, `generation-history.${format}`);
+    } catch (error) {
+      throw await readBlobError(error, 'Failed to export history');
+    }
+  },
+
+  // feedback: { rating: 'up' | 'down', category, comment }; replaces earlier feedback
+  submitFeedback: async (generationId, feedback) => {
+    try {
+      const response = await api.put(`api/deepseek/history/${generationId}/feedback`, feedback);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to save feedback' };
+    }
+  },
+
+  clearFeedback: async (generationId) => {
+    try {
+      const response = await api.delete(`api/deepseek/history/${generationId}/feedback`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to remove feedback' };
+    }
+  },
+
+  // Admin only; filters: { promptType, from, to }
+  getFeedbackReport: async (filters = {}) => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await api.get('api/deepseek/feedback/report', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch feedback report' };
+    }
+  },
+
+  getStats: async () => {
+    try {
+      const response = await api.get('api/deepseek/stats');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch statistics' };
+    }
+  }
+};
+
+// Key used by older versions that kept chats only in the browser
+const LOCAL_CONVERSATIONS_KEY = 'deepseek_conversations';
+
+export const conversationAPI = {
+  list: async (limit = 50, skip = 0) => {
+    try {
+      const response = await api.get('api/conversations', { params: { limit, skip } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch conversations' };
+    }
+  },
+
+  get: async (id) => {
+    try {
+      const response = await api.get(`api/conversations/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch conversation' };
+    }
+  },
+
+  create: async (conversation) => {
+    try {
+      const response = await api.post('api/conversations', conversation);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to create conversation' };
+    }
+  },
+
+  update: async (id, conversation) => {
+    try {
+      const response = await api.put(`api/conversations/${id}`, conversation);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to update conversation' };
+    }
+  },
+
+  remove: async (id) => {
+    try {
+      const response = await api.delete(`api/conversations/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to delete conversation' };
+    }
+  },
+
+  // Download the conversation's current branch; format: markdown, json, html or pdf
+  exportFile: async (id, format = 'markdown') => {
+    try {
+      const response = await api.get(`api/conversations/${id}/export`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      return saveDownload(response, `conversation.${format}`);
+    } catch (error) {
+      throw await readBlobError(error, 'Failed to export conversation');
+    }
+  },
+
+  // One-time migration of chats stored in localStorage; clears them once imported
+  importLocal: async () => {
+    let localConversations;
+    try {
+      localConversations = JSON.parse(localStorage.getItem(LOCAL_CONVERSATIONS_KEY) || '[]');
+    } catch {
+      localConversations = [];
+    }
+
+    if (!Array.isArray(localConversations) || localConversations.length === 0) {
+      localStorage.removeItem(LOCAL_CONVERSATIONS_KEY);
+      return { success: true, imported: 0 };
+    }
+
+    try {
+      const response = await api.post('api/conversations/import', { conversations: localConversations });
+      if (response.data.success) {
+        localStorage.removeItem(LOCAL_CONVERSATIONS_KEY);
+      }
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to import conversations' };
+    }
   }
 };
 
+// Read-only public links to a conversation or generation
+export const shareAPI = {
+  // resourceType/resourceId narrow the list to one conversation or generation
+  list: async (resourceType, resourceId) => {
+    try {
+      const response = await api.get('api/share', { params: { resourceType, resourceId } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch share links' };
+    }
+  },
+
+  // expiresInDays: null for a link that never expires
+  create: async (resourceType, resourceId, expiresInDays = null) => {
+    try {
+      const response = await api.post('api/share', { resourceType, resourceId, expiresInDays });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to create share link' };
+    }
+  },
+
+  revoke: async (token) => {
+    try {
+      const response = await api.delete(`api/share/${token}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to revoke share link' };
+    }
+  },
+
+  // Public view; works without being logged in
+  getShared: async (token) => {
+    try {
+      const response = await api.get(`api/share/${token}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to load shared content' };
+    }
+  },
+
+  getShareUrl: (token) => `${window.location.origin}/share/${token}`
+};
+
+export const apiKeyAPI = {
+  // Also returns the scopes a key can be given
+  list: async () => {
+    try {
+      const response = await api.get('api/keys');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to fetch API keys' };
+    }
+  },
+
+  // The full key is only in this response
+  create: async (name, scopes) => {
+    try {
+      const response = await api.post('api/keys', { name, scopes });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to create API key' };
+    }
+  },
+
+  revoke: async (id) => {
+    try {
+      const response = await api.delete(`api/keys/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { error: 'Failed to revoke API key' };
+    }
+  },
+
+  getBaseUrl: () => api.defaults.baseURL
+};
+
 // Test backend connection
 export const testBackendConnection = async () => {
   try {
@@ -0,0 +1,35 @@
+import { expect } from 'vitest';
+
+// Model output that tries to run script once rendered; every entry must come out inert
+export const XSS_PAYLOADS = {
+  'img onerror': '<img src="x" onerror="alert(1)">',
+  'script tag': '<script>alert(1)</script>',
+  'svg onload': '<svg onload="alert(1)"><circle r="10" /></svg>',
+  'iframe': '<iframe src="https://evil.example"></iframe>',
+  'raw HTML with handlers': '<div onclick="alert(1)" onmouseover="alert(1)">raw</div>\n\n<details open ontoggle="alert(1)"><summary>x</summary></details>',
+  'HTML javascript: link': '<a href="javascript:alert(1)">html link</a>',
+  'javascript: link': '[js link](javascript:alert(1))',
+  'mixed case javascript: link': '[js link](JaVaScRiPt:alert(1))',
+  'reference javascript: link': '[ref link][evil]\n\n[evil]: javascript:alert(1)',
+  'javascript: autolink': '<javascript:alert(1)>',
+  'data: link': '[data link](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  'Markdown image beacon': '![beacon](https://evil.example/beacon.png)',
+  'KaTeX href': '$\\href{javascript:alert(1)}{math link}$'
+};
+
+const ACTIVE_ELEMENTS = 'script, iframe, frame, object, embed, img, picture, source';
+const UNSAFE_URL = /^\s*(javascript|data|vbscript):/i;
+
+// Fail if anything under container could run script or load remote content
+export function expectNoActiveContent(container) {
+  expect(container.querySelectorAll(ACTIVE_ELEMENTS)).toHaveLength(0);
+
+  container.querySelectorAll('*').forEach(element => {
+    [...element.attributes].forEach(({ name, value }) => {
+      expect(name.toLowerCase().startsWith('on'), `${element.tagName} has ${name}`).toBe(false);
+      if (['href', 'src', 'xlink:href', 'action', 'formaction'].includes(name.toLowerCase())) {
+        expect(value, `${element.tagName} ${name}`).not.toMatch(UNSAFE_URL);
+      }
+    });
+  });
+}
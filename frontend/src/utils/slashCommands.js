@@ -0,0 +1,123 @@
+// Slash commands typed into the chat input, e.g. "/cf tourist".
+//
+// Each command declares its arguments and a run(context, args) function;
+// trailing arguments may be marked optional.
+// Commands marked inConversation are kept as a user message and answered in
+// the chat (so they can be regenerated); the others are one-off actions.
+// The Dashboard supplies the context; see commandContext there.
+
+const CODEFORCES_HANDLE = /^[A-Za-z0-9_.-]{3,24}$/;
+
+export const SLASH_COMMANDS = [
+  {
+    name: 'cf',
+    args: [{ name: 'handle', pattern: CODEFORCES_HANDLE }],
+    description: 'Analyze a Codeforces profile',
+    inConversation: true,
+    run: (context, { handle }) => context.analyzeCodeforcesUser(handle)
+  },
+  {
+    name: 'compare',
+    args: [
+      { name: 'handle1', pattern: CODEFORCES_HANDLE },
+      { name: 'handle2', pattern: CODEFORCES_HANDLE }
+    ],
+    description: 'Compare two Codeforces profiles side by side',
+    inConversation: true,
+    run: (context, { handle1, handle2 }) => context.compareCodeforcesUsers([handle1, handle2])
+  },
+  {
+    name: 'prompt',
+    args: [{ name: 'type', pattern: /^[a-z0-9_]{2,50}$/ }],
+    description: 'Switch the prompt used for new messages, e.g. /prompt code_review',
+    run: (context, { type }) => context.selectPromptType(type)
+  },
+  {
+    name: 'export',
+    args: [{ name: 'format', pattern: /^(markdown|md|json|html|pdf)$/i, optional: true }],
+    description: 'Download this conversation (markdown, json, html or pdf; Markdown by default)',
+    run: (context, { format = 'markdown' }) => context.exportConversation(format.toLowerCase() === 'md' ? 'markdown' : format.toLowerCase())
+  },
+  {
+    name: 'clear',
+    args: [],
+    description: 'Start a new conversation',
+    run: (context) => context.clearConversation()
+  },
+  {
+    name: 'help',
+    args: [],
+    description: 'List the available commands',
+    inConversation: true,
+    run: (context) => context.reply(getHelpText())
+  }
+];
+
+const COMMANDS_BY_NAME = new Map(SLASH_COMMANDS.map(command => [command.name, command]));
+
+export const getUsage = (command) => (
+  [`/${command.name}`, ...command.args.map(arg => (arg.optional ? `[${arg.name}]` : `<${arg.name}>`))].join(' ')
+);
+
+export const getHelpText = () => [
+  '## Commands',
+  '',
+  '| Command | Description |',
+  '| --- | --- |',
+  ...SLASH_COMMANDS.map(command => `| \`${getUsage(command)}\` | ${command.description} |`),
+  '',
+  'Type `/` in the message box to see suggestions.'
+].join('\n');
+
+// Parse input as a command.
+// Returns null for ordinary messages, { error } for a malformed command,
+// or { command, args } with args keyed by name.
+// Only "/" followed by a command name, or by a word autocomplete would complete,
+// is a command; "/usr/bin/gcc ...", "/* ... */" or "/ 2" are sent as messages.
+// "cf <handle>" without the slash is still accepted in exactly that form.
+export const parseSlashCommand = (input) => {
+  const text = input.trim();
+
+  const legacy = /^cf\s+(\S+)$/i.exec(text);
+  if (legacy && CODEFORCES_HANDLE.test(legacy[1])) {
+    return { command: COMMANDS_BY_NAME.get('cf'), args: { handle: legacy[1] } };
+  }
+
+  if (!text.startsWith('/')) return null;
+
+  const [rawName, ...values] = text.slice(1).split(/\s+/);
+  const command = COMMANDS_BY_NAME.get(rawName.toLowerCase());
+
+  if (!command) {
+    const suggestions = /^\w+$/.test(rawName) ? getCommandSuggestions(`/${rawName}`) : [];
+    if (suggestions.length === 0) return null;
+    return {
+      error: `Unknown command /${rawName}. Did you mean ${suggestions.map(suggestion => `/${suggestion.name}`).join(' or ')}?`
+    };
+  }
+
+  const required = command.args.filter(arg => !arg.optional).length;
+  if (values.length < required || values.length > command.args.length) {
+    return { command, error: `Usage: ${getUsage(command)}` };
+  }
+
+  const args = {};
+  for (const [index, arg] of command.args.entries()) {
+    if (index >= values.length) break;
+    if (arg.pattern && !arg.pattern.test(values[index])) {
+      return { command, error: `Invalid ${arg.name} "${values[index]}". Usage: ${getUsage(command)}` };
+    }
+    args[arg.name] = values[index];
+  }
+
+  return { command, args };
+};
+
+// Commands to suggest while the user is typing the command name
+export const getCommandSuggestions = (input) => {
+  const match = /^\/(\w*)$/.exec(input);
+  if (!match) return [];
+
+  const prefix = match[1].toLowerCase();
+  return SLASH_COMMANDS.filter(command => command.name.startsWith(prefix));
+};
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { parseSlashCommand } from './slashCommands';
+
+describe('parseSlashCommand', () => {
+  it.each([
+    'hello',
+    '/usr/bin/gcc gives me an error',
+    '/* comment */ what does this do?',
+    '/ 2 is integer division?',
+    '/hello there',
+    'cf round tomorrow?',
+    'cf what?'
+  ])('sends %j as a message', (input) => {
+    expect(parseSlashCommand(input)).toBeNull();
+  });
+
+  it('parses registered commands and their arguments', () => {
+    const parsed = parseSlashCommand('/CF tourist');
+    expect(parsed.command.name).toBe('cf');
+    expect(parsed.args).toEqual({ handle: 'tourist' });
+    expect(parseSlashCommand('/export pdf').args).toEqual({ format: 'pdf' });
+  });
+
+  it('accepts "cf <handle>" without the slash', () => {
+    const parsed = parseSlashCommand('cf tourist');
+    expect(parsed.command.name).toBe('cf');
+    expect(parsed.args).toEqual({ handle: 'tourist' });
+  });
+
+  it('reports partial command names with suggestions', () => {
+    expect(parseSlashCommand('/cle').error).toBe('Unknown command /cle. Did you mean /clear?');
+  });
+
+  it('reports usage errors for registered commands', () => {
+    expect(parseSlashCommand('/cf').error).toBe('Usage: /cf <handle>');
+    expect(parseSlashCommand('/cf a b').error).toBe('Usage: /cf <handle>');
+  });
+});